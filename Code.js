@@ -5,7 +5,11 @@
 
 /**
  * Main edit handler function.
- * Routes edit events to specific handlers based on the sheet name and range.
+ * Routes edit events to the handler of the first matching CONFIG.TRIGGERS entry.
+ * Edited Epics and US/Tasks rows first get their hierarchy IDs, see ids.js.
+ * Triggers starting an operation are only enqueued while the job queue is enabled.
+ * Every cell of a multi-cell edit (paste, fill down) is checked, so a trigger value
+ * outside the top-left cell is not missed.
  * @param {Object} e - The event object from the edit trigger.
  */
 function handleEdit(e) {
@@ -13,48 +17,285 @@ function handleEdit(e) {
         debugLog('Handling edit event');
         const sheet = e.source.getActiveSheet();
         const sheetName = sheet.getName();
-
-        if (sheetName === "Context") {
-            handleContextEdit(e);
-        } else if (sheetName === "Epics") {
-            handleEpicsEdit(e);
+        if (HIERARCHY_SHEETS.indexOf(sheetName) !== -1) {
+            ensureHierarchyIds(sheet, Array.from({ length: e.range.getNumRows() }, (_, index) => e.range.getRow() + index));
         }
+        if (!CONFIG.TRIGGERS.some(trigger => trigger.sheet === sheetName)) return;
+
+        const trigger = findRangeTrigger(sheetName, getSheetHeaders(sheet), e.range);
+        if (!trigger) return;
+
+        debugLog(`Edit matched trigger ${trigger.operation || trigger.handler} on ${sheetName}`);
+        runTrigger(e, trigger);
     } catch (error) {
         Logger.log(`Error in handleEdit: ${error.message}`);
     }
 }
 
 /**
- * Sends JSON data to the specified webhook.
+ * Runs a matched trigger: enqueues it while the job queue is enabled and the
+ * trigger starts an operation, otherwise calls its handler right away.
+ * @param {Object} e - The edit event, or an event built for a menu action.
+ * @param {Object} trigger - The CONFIG.TRIGGERS entry.
+ * @returns {*} The handler return value, or the job ID when enqueued.
+ */
+function runTrigger(e, trigger) {
+    if (trigger.operation && isJobQueueEnabled()) {
+        const sheet = e.range.getSheet();
+        const rows = getTriggeredRows(sheet, e.range, trigger);
+        const jobId = enqueueJob(e, trigger, rows);
+        setActionStatus(sheet, rows.map(row => row.rowId), ACTION_STATUS.QUEUED, getQueuedNote(trigger));
+        return jobId;
+    }
+    return getTriggerHandler(trigger)(e, trigger);
+}
+
+/**
+ * Finds the first trigger registry entry matching an edit.
+ * @param {Array<Object>} triggers - The trigger registry, see CONFIG.TRIGGERS.
+ * @param {string} sheetName - The name of the edited sheet.
+ * @param {string} header - The header of the edited column.
+ * @param {*} value - The new value of the edited cell.
+ * @returns {Object|null} The matching entry, or null if the edit triggers nothing.
+ */
+function findTrigger(triggers, sheetName, header, value) {
+    return triggers.find(trigger =>
+        trigger.sheet === sheetName &&
+        (trigger.header === undefined || trigger.header === header) &&
+        (trigger.value === undefined || trigger.value === value)
+    ) || null;
+}
+
+/**
+ * Sends JSON data to the backend configured for an operation.
+ * Operations use the make.com webhook unless their backend is set to "llm".
+ * The payload gets an idempotency_key and a request already sent within the
+ * idempotency window is rejected as a duplicate, see idempotency.js.
+ * The payload is normalized to the schema of the operation first, see schemas.js,
+ * and its context reduced to the collections and budget of the operation, see selectContext.
+ * Invalid payloads are never sent. With the DRY_RUN setting enabled, payloads
+ * are built and validated but not sent.
+ * @param {string} operation - The operation name.
+ * @param {Object} json - The JSON object to be sent.
+ * @param {Object} [source={}] - The sheet and row that triggered the operation.
+ * @returns {Object} The delivery result, see postToWebhook, with duplicate set for a rejected duplicate.
+ */
+function dispatchOperation(operation, json, source = {}) {
+    normalizePayload(operation, json);
+    applyContextBudget(operation, json);
+    const errors = validateDispatch(operation, buildWebhookEnvelope(operation, json, source));
+    if (errors.length > 0 || isDryRunEnabled()) {
+        const result = {
+            ok: errors.length === 0, dryRun: isDryRunEnabled(), operation: operation, status: null, body: null,
+            error: errors.length > 0 ? `Invalid payload: ${errors.join('; ')}` : null, errors: errors, durationMs: 0, timedOut: false
+        };
+        debugLog(`${operation} ${result.dryRun ? 'dry run' : 'validation'}: ${errors.length === 0 ? 'valid' : result.error}`, true);
+        logAutomation({ operation: operation, sheet: source.sheet, row: source.row, status: getDeliveryStatus(result), message: result.error || '' });
+        return result;
+    }
+
+    const content = json.eventData || json.items || json.subtasks || null;
+    const key = getIdempotencyKey(operation, source.sheet || json.sheet_name_id, source.row || json.row_id, content);
+    if (!claimIdempotencyKey(key)) {
+        Logger.log(`Duplicate ${operation} request rejected: ${key}`);
+        const duplicate = { ok: false, duplicate: true, operation: operation, status: null, body: null, error: 'Duplicate request', durationMs: 0, timedOut: false };
+        logAutomation({ operation: operation, sheet: source.sheet, row: source.row, status: 'duplicate', message: key });
+        return duplicate;
+    }
+    json.idempotency_key = key;
+
+    const backend = getOperationConfig(operation).backend;
+    const result = backend === 'llm' ? sendToLlm(operation, json, source) : sendToWebhook(operation, json, source);
+    // Without an outbox entry nothing retries the request, so the user must be able to send it again
+    if (!result.ok && !result.outboxId && !result.timedOut) releaseIdempotencyKey(key);
+    logAutomation({
+        operation: operation,
+        sheet: source.sheet || json.sheet_name_id,
+        row: source.row || json.row_id,
+        status: getDeliveryStatus(result),
+        httpStatus: result.status,
+        durationMs: result.durationMs,
+        message: result.error ? `${result.error}${result.outboxId ? ' (saved to outbox)' : ''}` : ''
+    });
+    return result;
+}
+
+/**
+ * Checks an enveloped payload before it is sent.
+ * The records must match the schema of the operation, see validatePayloadSchema.
+ * @param {string} operation - The operation name.
+ * @param {Object} envelope - The enveloped payload.
+ * @returns {Array<string>} The problems found, empty if the payload can be sent.
+ */
+function validateDispatch(operation, envelope) {
+    const errors = [];
+    const backend = getOperationConfig(operation).backend;
+    if (backend === 'webhook' && !getWebhookUrl(operation)) errors.push(`No webhook URL configured for ${operation}`);
+    if (!envelope.source || !envelope.source.sheet) errors.push('Payload has no source sheet');
+    validatePayloadSchema(operation, envelope).forEach(error => errors.push(error));
+    try {
+        JSON.stringify(envelope);
+    } catch (error) {
+        errors.push(`Payload is not serializable: ${error.message}`);
+    }
+    return errors;
+}
+
+/**
+ * Checks whether dry-run mode is enabled by the DRY_RUN setting.
+ * @returns {boolean} True if payloads must not be sent.
+ */
+function isDryRunEnabled() {
+    const value = getSetting('DRY_RUN', false);
+    return value === true || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Maps a delivery result to the status of the rows it was sent for.
+ * A backend that already wrote results back (LLM) reports the rows as groomed.
+ * @param {Object} result - The delivery result.
+ * @returns {string} 'sent', 'groomed', 'dry-run', 'duplicate' or 'failed'.
+ */
+function getDeliveryStatus(result) {
+    if (result.dryRun && result.ok) return 'dry-run';
+    if (result.ok) return result.results ? 'groomed' : 'sent';
+    return result.duplicate ? 'duplicate' : 'failed';
+}
+
+/**
+ * Sends JSON data to the webhook configured for an operation.
+ * The payload is wrapped in the operation envelope before sending.
+ * Failed deliveries are saved to the outbox and retried later.
+ * @param {string} operation - The operation name, a key of CONFIG.WEBHOOKS.
  * @param {Object} json - The JSON object to be sent.
- * @throws {Error} If the webhook request fails.
+ * @param {Object} [source={}] - The sheet and row that triggered the operation.
+ * @param {string} [source.sheet] - The name of the source sheet.
+ * @param {number} [source.row] - The row number in the source sheet.
+ * @returns {Object} The delivery result, see postToWebhook, with the outboxId of a saved failure.
  */
-function sendToWebhook(json) {
+function sendToWebhook(operation, json, source = {}) {
+    debugLog(`Sending ${operation} data to webhook`);
+    const envelope = buildWebhookEnvelope(operation, json, source);
+    const result = postToWebhook(operation, envelope);
+    // A timed out request still reached the webhook, retrying it would send a duplicate
+    if (!result.ok && !result.timedOut) {
+        result.outboxId = addToOutbox(operation, envelope, result.error);
+    }
+    return result;
+}
+
+/**
+ * Wraps a payload in the envelope shared by all operations.
+ * Envelope fields are added next to the payload keys so existing mappings keep working;
+ * they are assigned last, so a payload key of the same name never replaces them.
+ * @param {string} operation - The operation name.
+ * @param {Object} json - The payload.
+ * @param {Object} [source={}] - The sheet and row that triggered the operation.
+ * @returns {Object} The payload with operation, schema_version and source fields.
+ */
+function buildWebhookEnvelope(operation, json, source = {}) {
+    const operationConfig = getOperationConfig(operation);
+    return Object.assign({}, json, {
+        operation: operation,
+        schema_version: operationConfig.schemaVersion,
+        source: {
+            sheet: source.sheet || json.sheet_name_id || null,
+            row: source.row || json.row_id || null
+        }
+    });
+}
+
+/**
+ * Posts an already enveloped payload to the webhook of an operation.
+ * The request is signed when a WEBHOOK_SECRET is configured, see signing.js.
+ * Failures are reported in the result instead of being thrown.
+ * UrlFetchApp has no timeout option: a 2xx response slower than timeoutMs was still delivered
+ * and only logged as slow. A fetch that fails with a timeout may have reached the webhook,
+ * so it is reported as timedOut and not saved to the outbox.
+ * @param {string} operation - The operation name.
+ * @param {Object} envelope - The enveloped payload.
+ * @returns {{ok: boolean, operation: string, status: ?number, body: ?string, error: ?string, durationMs: number, timedOut: boolean}}
+ *          The delivery result.
+ */
+function postToWebhook(operation, envelope) {
+    const result = { ok: false, operation: operation, status: null, body: null, error: null, durationMs: 0, timedOut: false };
+    const startTime = Date.now();
     try {
-        debugLog('Sending data to webhook');
-        const webhookUrl = getWebhookUrl('GROOM_EPICS');
-        if (!webhookUrl) throw new Error('Webhook URL not found');
+        const webhookUrl = getWebhookUrl(operation);
+        if (!webhookUrl) throw new Error(`Webhook URL not found for operation ${operation}`);
 
+        const operationConfig = getOperationConfig(operation);
+        const payload = JSON.stringify(envelope);
         const options = {
             'method': 'post',
             'contentType': 'application/json',
-            'payload': JSON.stringify(json)
+            'headers': Object.assign({}, operationConfig.headers, createSignatureHeaders(payload)),
+            'payload': payload,
+            'muteHttpExceptions': true
         };
 
         debugLog(`Webhook URL: ${webhookUrl}`, true); // Always log the webhook URL
-        debugLog(`Payload: ${JSON.stringify(json)}`, true); // Always log the payload
+        debugLog(`Payload: ${options.payload}`, true); // Always log the payload
 
         const response = UrlFetchApp.fetch(webhookUrl, options);
-        debugLog(`Webhook response: ${response.getResponseCode()}`, true); // Always log the response code
+        result.status = response.getResponseCode();
+        result.body = response.getContentText();
+        result.durationMs = Date.now() - startTime;
+        debugLog(`Webhook response: ${result.status} in ${result.durationMs} ms`, true); // Always log the response code
 
-        if (response.getResponseCode() !== 200) {
-            throw new Error(`Webhook request failed with status ${response.getResponseCode()}`);
+        if (result.status < 200 || result.status >= 300) {
+            throw new Error(`Webhook request failed with status ${result.status}`);
+        }
+        if (result.durationMs > operationConfig.timeoutMs) {
+            Logger.log(`Slow webhook response for ${operation}: ${result.durationMs} ms, above the ${operationConfig.timeoutMs} ms timeout`);
         }
+        result.ok = true;
     } catch (error) {
-        Logger.log(`Error in sendToWebhook: ${error.message}`);
+        result.durationMs = Date.now() - startTime;
+        result.error = error.message;
+        result.timedOut = /time(d)? ?out/i.test(error.message);
+        Logger.log(`Error in sendToWebhook (${operation}): ${error.message}`);
+    }
+    return result;
+}
+
+/**
+ * Resolves the handler function of a trigger registry entry.
+ * @param {Object} trigger - The CONFIG.TRIGGERS entry.
+ * @returns {Function} The global handler function.
+ * @throws {Error} If no global function has the handler name.
+ */
+function getTriggerHandler(trigger) {
+    const handler = globalThis[trigger.handler];
+    if (typeof handler !== 'function') throw new Error(`Trigger handler not found: ${trigger.handler}`);
+    return handler;
+}
+
+/**
+ * Finds the first trigger registry entry matching any cell of an edited range.
+ * @param {string} sheetName - The name of the edited sheet.
+ * @param {Array} headers - The header row of the edited sheet.
+ * @param {Object} range - The edited range.
+ * @returns {Object|null} The matching entry, or null if no cell triggers anything.
+ */
+function findRangeTrigger(sheetName, headers, range) {
+    const values = range.getValues();
+    const firstColumn = range.getColumn();
+    for (const row of values) {
+        for (let index = 0; index < row.length; index++) {
+            const trigger = findTrigger(CONFIG.TRIGGERS, sheetName, headers[firstColumn - 1 + index], row[index]);
+            if (trigger) return trigger;
+        }
     }
+    return null;
 }
 
 // Export the main function
 this.handleEdit = handleEdit;
+this.findTrigger = findTrigger;
+this.dispatchOperation = dispatchOperation;
+this.getDeliveryStatus = getDeliveryStatus;
+this.runTrigger = runTrigger;
 this.sendToWebhook = sendToWebhook;
+this.buildWebhookEnvelope = buildWebhookEnvelope;
+this.postToWebhook = postToWebhook;
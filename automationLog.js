@@ -0,0 +1,120 @@
+/**
+ * Status write-back and the Automation Log sheet.
+ *
+ * The action cell of a triggering row shows the progress of its request:
+ * "Queued" → "Sent" → "Groomed", or "Failed" with the error in the cell note.
+ * Every dispatched request is also recorded in the "Automation Log" sheet with
+ * its operation, row, HTTP status, duration and message.
+ *
+ * @module automationLog
+ */
+
+/**
+ * Name of the sheet recording every dispatched request.
+ * @const {string}
+ */
+var AUTOMATION_LOG_SHEET = "Automation Log";
+
+/**
+ * Header row of the Automation Log sheet.
+ * @const {Array<string>}
+ */
+var AUTOMATION_LOG_HEADERS = ["Time", "Operation", "Sheet", "Row", "Status", "HTTP Status", "Duration (ms)", "Message"];
+
+/**
+ * Values written to the action cell of a triggering row.
+ * @const {Object}
+ */
+var ACTION_STATUS = {
+    QUEUED: "Queued",
+    SENT: "Sent",
+    GROOMED: "Groomed",
+    DRY_RUN: "Dry run",
+    FAILED: "Failed"
+};
+
+/**
+ * Action cell value for each delivery status, see getDeliveryStatus.
+ * A duplicate was already sent by the first request.
+ * @const {Object}
+ */
+var DELIVERY_ACTION_STATUS = {
+    sent: ACTION_STATUS.SENT,
+    groomed: ACTION_STATUS.GROOMED,
+    'dry-run': ACTION_STATUS.DRY_RUN,
+    duplicate: ACTION_STATUS.SENT,
+    failed: ACTION_STATUS.FAILED
+};
+
+/**
+ * Note written with ACTION_STATUS.QUEUED, naming the action the row was queued for.
+ * Sheets whose triggers share the action column, e.g. "Groom Story" and "Groom Subtasks",
+ * only pick up the queued rows of the matching trigger, see getTriggeredRows.
+ * @param {Object} trigger - The CONFIG.TRIGGERS entry the rows are queued for.
+ * @returns {string} The note.
+ */
+function getQueuedNote(trigger) {
+    return `Queued for ${trigger.value}`;
+}
+
+/**
+ * Writes a status into the action cell of rows, with an optional note.
+ * Script writes do not fire onEdit, so the status never triggers an automation itself.
+ * @param {Object} sheet - The sheet of the rows.
+ * @param {Array<number>} rowNumbers - The rows to update.
+ * @param {string} status - One of ACTION_STATUS.
+ * @param {string} [note=''] - The cell note, cleared when empty.
+ */
+function setActionStatus(sheet, rowNumbers, status, note = '') {
+    try {
+        const column = getColumnByHeader(getSheetHeaders(sheet), CONFIG.HEADERS.ACTION);
+        if (!column) return;
+        rowNumbers.forEach(rowNumber => {
+            sheet.getRange(rowNumber, column).setValue(status).setNote(note || '');
+        });
+    } catch (error) {
+        Logger.log(`Error in setActionStatus: ${error.message}`);
+    }
+}
+
+/**
+ * Writes per row delivery statuses into the action cells.
+ * @param {Object} sheet - The sheet of the rows.
+ * @param {Array<Object>} statuses - Per row status: {row_id, status, error}.
+ */
+function writeRowStatuses(sheet, statuses) {
+    statuses.forEach(status => {
+        const note = status.status === 'failed' ? status.error
+            : status.status === 'duplicate' ? 'Duplicate request skipped' : '';
+        setActionStatus(sheet, [status.row_id], DELIVERY_ACTION_STATUS[status.status], note);
+    });
+}
+
+/**
+ * Appends an entry to the Automation Log sheet.
+ * @param {Object} entry - The entry.
+ * @param {string} entry.operation - The operation name.
+ * @param {string} [entry.sheet] - The source sheet name.
+ * @param {number} [entry.row] - The source row number.
+ * @param {string} entry.status - The delivery status.
+ * @param {?number} [entry.httpStatus] - The HTTP status code.
+ * @param {number} [entry.durationMs] - The request duration.
+ * @param {string} [entry.message] - The error or result message.
+ */
+function logAutomation(entry) {
+    try {
+        const sheet = getOrCreateSheet(SpreadsheetApp.getActiveSpreadsheet(), AUTOMATION_LOG_SHEET, AUTOMATION_LOG_HEADERS);
+        sheet.appendRow([
+            new Date(), entry.operation, entry.sheet || '', entry.row || '', entry.status,
+            entry.httpStatus || '', entry.durationMs || 0, entry.message || ''
+        ]);
+    } catch (error) {
+        Logger.log(`Error in logAutomation: ${error.message}`);
+    }
+}
+
+// Export functions
+this.setActionStatus = setActionStatus;
+this.getQueuedNote = getQueuedNote;
+this.writeRowStatuses = writeRowStatuses;
+this.logAutomation = logAutomation;
@@ -0,0 +1,74 @@
+/**
+ * Cache helpers for values larger than a single CacheService entry.
+ *
+ * CacheService limits values to 100KB. JSON values are split into chunks stored
+ * under "<key>_<index>" and a manifest stored under the key itself records the
+ * chunk count. A value is only returned when every chunk is still cached.
+ *
+ * @module cache
+ */
+
+/**
+ * Maximum characters per cache entry. Kept at a quarter of the 100KB limit
+ * so that multi-byte characters can never overflow an entry.
+ * @const {number}
+ */
+var CACHE_CHUNK_SIZE = 25000;
+
+/**
+ * Stores a JSON value in the cache, split across several entries when needed.
+ * @param {Object} cache - The CacheService cache.
+ * @param {string} key - The cache key.
+ * @param {*} value - The JSON serializable value.
+ * @param {number} ttlSeconds - Expiration in seconds.
+ */
+function putChunkedCache(cache, key, value, ttlSeconds) {
+    const json = JSON.stringify(value);
+    const entries = {};
+    let count = 0;
+    for (let index = 0; index < json.length || count === 0; index += CACHE_CHUNK_SIZE) {
+        entries[`${key}_${count}`] = json.slice(index, index + CACHE_CHUNK_SIZE);
+        count++;
+    }
+    entries[key] = JSON.stringify({ chunks: count });
+    cache.putAll(entries, ttlSeconds);
+    debugLog(`Cached ${key} in ${count} chunk(s)`);
+}
+
+/**
+ * Reads a JSON value stored with putChunkedCache.
+ * @param {Object} cache - The CacheService cache.
+ * @param {string} key - The cache key.
+ * @returns {*} The cached value, or null if it is missing or incomplete.
+ */
+function getChunkedCache(cache, key) {
+    try {
+        const manifest = cache.get(key);
+        if (!manifest) return null;
+        const chunkKeys = Array.from({ length: JSON.parse(manifest).chunks }, (_, index) => `${key}_${index}`);
+        const chunks = cache.getAll(chunkKeys);
+        if (chunkKeys.some(chunkKey => chunks[chunkKey] === undefined || chunks[chunkKey] === null)) {
+            debugLog(`Cache entry ${key} is incomplete`);
+            return null;
+        }
+        return JSON.parse(chunkKeys.map(chunkKey => chunks[chunkKey]).join(''));
+    } catch (error) {
+        Logger.log(`Error in getChunkedCache: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Computes a hex MD5 hash of a JSON serializable value.
+ * @param {*} value - The value to hash.
+ * @returns {string} The hex digest.
+ */
+function computeContentHash(value) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(value));
+    return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+// Export functions
+this.putChunkedCache = putChunkedCache;
+this.getChunkedCache = getChunkedCache;
+this.computeContentHash = computeContentHash;
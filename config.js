@@ -10,40 +10,334 @@
 var CONFIG = {
   /**
    * Object containing all webhook URLs grouped by operation.
+   * These are fallbacks only: webhook URLs are secrets and belong in the
+   * WEBHOOK_<OPERATION> setting, see getSetting.
    * @const {Object}
    */
   WEBHOOKS: {
-    GROOM_EPICS: "https://hook.eu2.make.com/mok24mkp1eu87ef5xrj6ccpbhqkc954b",
+    GROOM_EPICS: "",
     GROOM_USER_STORIES_AND_TASKS: "",
     GROOM_SUBTASKS: "",
     ESTIMATE_SUBTASKS: "",
     // Add more webhook URLs here as needed
   },
-  DEBUG: false // Set to true for detailed logging
+  /**
+   * Dispatch settings per operation. Missing keys fall back to OPERATION_DEFAULTS.
+   * - schemaVersion: version of the payload schema, sent as schema_version; bump it when the schema changes
+   * - schema: shape of the row records of the payload, see schemas.js
+   *   - records: payload key holding the records, "eventData" also covers the items of a batch
+   *   - fields: canonical field name → { type: "string"|"number"|"boolean", required, aliases }
+   *     Columns named like an alias are sent under the canonical name, so renaming
+   *     a header to an alias does not break the make.com mapping.
+   * - context: context collections sent with the operation, see selectContext
+   *   - collections: top-level context keys by priority, "*" for every key not listed
+   *   - exclude: keys never sent
+   *   - maxTokens: approximate token budget of the context (JSON characters / 4), empty for no limit
+   * - headers: extra HTTP headers added to the webhook request
+   * - timeoutMs: expected webhook response time, slower deliveries are logged
+   * - batchSize: maximum number of rows sent in one batched payload
+   * - backend: "webhook" to post to the make.com scenario, "llm" to call the LLM provider directly
+   * @const {Object}
+   */
+  OPERATIONS: {
+    GROOM_EPICS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "*", "team"], maxTokens: 6000 },
+      schema: {
+        records: "eventData",
+        fields: {
+          "Epic ID": { type: "string" },
+          "Title": { type: "string", required: true, aliases: ["Epic", "Epic Name", "Name"] },
+          "Description": { type: "string", aliases: ["Details"] }
+        }
+      }
+    },
+    GROOM_USER_STORIES_AND_TASKS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "*", "team"], maxTokens: 6000 },
+      schema: {
+        records: "eventData",
+        fields: {
+          "Epic ID": { type: "string", required: true },
+          "Story ID": { type: "string" },
+          "Title": { type: "string", required: true, aliases: ["Story", "User Story", "Name"] },
+          "Description": { type: "string", aliases: ["Details"] }
+        }
+      }
+    },
+    GROOM_SUBTASKS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "team", "*"], maxTokens: 6000 },
+      schema: {
+        records: "eventData",
+        fields: {
+          "Epic ID": { type: "string" },
+          "Story ID": { type: "string", required: true },
+          "Title": { type: "string", required: true, aliases: ["Story", "User Story", "Name"] },
+          "Description": { type: "string", aliases: ["Details"] }
+        }
+      }
+    },
+    ESTIMATE_SUBTASKS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "*"], exclude: ["team"], maxTokens: 4000 },
+      schema: {
+        records: "subtasks",
+        fields: {
+          "Task ID": { type: "string", required: true },
+          "Story ID": { type: "string" },
+          "Epic ID": { type: "string" },
+          "Role": { type: "string" },
+          "Hours": { type: "number", aliases: ["Estimate", "Estimated Hours"] }
+        }
+      }
+    },
+  },
+  OPERATION_DEFAULTS: {
+    schemaVersion: "1.0",
+    context: { collections: ["*"], exclude: [], maxTokens: null },
+    headers: {},
+    timeoutMs: 30000,
+    batchSize: 20,
+    backend: "webhook"
+  },
+  /**
+   * Defaults of the direct LLM provider, overridden by the LLM_ENDPOINT and LLM_MODEL settings.
+   * The API key is only read from the LLM_API_KEY setting.
+   * @const {Object}
+   */
+  LLM: {
+    ENDPOINT: "https://api.openai.com/v1/chat/completions",
+    MODEL: "gpt-4o-mini"
+  },
+  /**
+   * Header names the automations look up instead of fixed column numbers.
+   * @const {Object}
+   */
+  HEADERS: {
+    ACTION: "Action",
+    EPIC_ID: "Epic ID",
+    STORY_ID: "Story ID",
+    TASK_ID: "Task ID",
+    SELECTED: "Selected",
+    ROLE: "Role",
+    HOURS: "Hours",
+    COST: "Cost",
+    HOURLY_RATE: "Hourly Rate",
+    TYPE: "Type",
+    PARENT_ID: "Parent ID",
+    TITLE: "Title",
+    DESCRIPTION: "Description",
+    NAME: "Name",
+    AVAILABILITY: "Availability",
+    PRIORITY: "Priority",
+    DEPENDS_ON: "Depends on"
+  },
+  /**
+   * Sheets that groomed results are written back to, by result type.
+   * Rows are matched on the key header and appended when no row matches.
+   * - exclude: rows with a value in this header are never matched, e.g. subtask
+   *   rows carry the Story ID of their parent story
+   * - defaults: values written when the result row has none
+   * @const {Object}
+   */
+  RESULT_TARGETS: {
+    epics: { sheet: "Epics", key: "Epic ID" },
+    stories: { sheet: "US/Tasks", key: "Story ID", exclude: "Task ID", defaults: { "Type": "Story" } },
+    subtasks: { sheet: "US/Tasks", key: "Task ID", defaults: { "Type": "Subtask" } },
+    estimates: { sheet: "Estimates", key: "Task ID" }
+  },
+  /**
+   * Retry settings for failed webhook deliveries kept in the Outbox sheet.
+   * The delay doubles after every failed attempt.
+   * MAX_RUNTIME_MS stops a run well below the 6 minute execution limit, the next run goes on.
+   * @const {Object}
+   */
+  OUTBOX: {
+    MAX_ATTEMPTS: 5,
+    BASE_DELAY_MINUTES: 1,
+    MAX_RUNTIME_MS: 270000
+  },
+  /**
+   * Trigger registry used by handleEdit to route edits.
+   * An entry matches an edit when the sheet name matches and, if set, the header
+   * of the edited column and the new cell value match too. The first matching entry
+   * wins and its handler is called with the event object and the entry.
+   * - sheet: sheet name
+   * - header: header of the edited column (optional, any column when omitted)
+   * - value: new cell value (optional, any value when omitted)
+   * - operation: operation started by the edit (optional)
+   * - handler: name of the global handler function
+   * @const {Array<Object>}
+   */
+  TRIGGERS: [
+    { sheet: "Context", handler: "handleContextEdit" },
+    { sheet: "ProductBrief", handler: "handleContextEdit" },
+    { sheet: "Team", handler: "handleTeamEdit" },
+    { sheet: "Epics", header: "Action", value: "Groom EPIC", operation: "GROOM_EPICS", handler: "handleEpicsEdit" },
+    { sheet: "US/Tasks", header: "Action", value: "Groom Story", operation: "GROOM_USER_STORIES_AND_TASKS", handler: "handleUsTasksEdit" },
+    { sheet: "US/Tasks", header: "Action", value: "Groom Subtasks", operation: "GROOM_SUBTASKS", handler: "handleUsTasksEdit" },
+    { sheet: "Estimates", header: "Action", value: "Estimate Selected", operation: "ESTIMATE_SUBTASKS", handler: "handleEstimatesEdit" },
+    { sheet: "Estimates", header: "Hours", handler: "handleEstimatesEdit" },
+    { sheet: "Estimates", header: "Role", handler: "handleEstimatesEdit" },
+    { sheet: "US/Tasks", header: "Depends on", handler: "handleTimelineEdit" }
+  ],
+  /**
+   * Sheets the context object is assembled from, in merge order.
+   * - sheet: sheet name, missing sheets are skipped
+   * - namespace: key the parsed sheet is stored under, merged at the root when omitted
+   * - parser: "context" (Collection/Key/Value layout), "keyValue" (key in A, value in B)
+   *   or "records" (one object per row, keyed by the header row)
+   * @const {Array<Object>}
+   */
+  CONTEXT_SOURCES: [
+    { sheet: "Context", parser: "context" },
+    { sheet: "ProductBrief", namespace: "productBrief", parser: "keyValue" },
+    { sheet: "Team", namespace: "team", parser: "records" }
+  ],
+  CONTEXT_CACHE_SECONDS: 21600, // Cache context for 6 hours, the CacheService maximum
+  SIGNATURE_TOLERANCE_SECONDS: 300, // Accepted clock difference of signed requests, see signing.js
+  /**
+   * Asynchronous job queue. When enabled, edits matching a trigger with an operation
+   * only enqueue a job and the time-driven worker runs the handler later.
+   * MAX_RUNTIME_MS keeps the worker well below the 6 minute execution limit.
+   * @const {Object}
+   */
+  JOB_QUEUE: {
+    ENABLED: false, // Default of the JOB_QUEUE_ENABLED setting, turned on by installJobQueueTrigger
+    BATCH_SIZE: 20,
+    MAX_RUNTIME_MS: 270000,
+    KEEP_DAYS: 7 // Finished jobs are removed from the Jobs sheet after this many days
+  },
+  /**
+   * Sprint planning defaults, see sprints.js.
+   * Team availability is read as hours per week, or as a percentage of HOURS_PER_WEEK.
+   * @const {Object}
+   */
+  SPRINTS: {
+    LENGTH_WEEKS: 2,
+    HOURS_PER_WEEK: 40,
+    COUNT: 6 // Number of sprints planned ahead
+  },
+  TIMELINE: {
+    MAX_DAYS: 130, // Working-day columns drawn in the Timeline sheet
+    DEBOUNCE_SECONDS: 60 // The timeline is rebuilt once no estimate or dependency edit came for this long
+  },
+  IDEMPOTENCY_WINDOW_SECONDS: 600, // Identical requests within this window are rejected as duplicates
+  SETTINGS_SHEET: "Settings", // Sheet with per-spreadsheet settings, Key in column A and Value in column B
+  DEBUG: false // Set to true for detailed logging, or set the DEBUG setting
 };
 
+/**
+ * Settings layers resolved during the current execution, see getSettingsLayers.
+ * @type {?Array<Object>}
+ */
+var SETTINGS_LAYERS = null;
+
+/**
+ * Retrieves a setting, resolved in layers: document properties, script properties,
+ * the Settings sheet and finally the given CONFIG default.
+ * Document properties and the Settings sheet belong to the spreadsheet, so every client
+ * project can override the script-wide values. Secrets belong in the property stores.
+ * @param {string} name - The setting name, e.g. "WEBHOOK_GROOM_EPICS".
+ * @param {*} [defaultValue=null] - The CONFIG default used when no layer defines the setting.
+ * @returns {*} The resolved setting value.
+ */
+function getSetting(name, defaultValue = null) {
+  return resolveSetting(name, getSettingsLayers(), defaultValue);
+}
+
+/**
+ * Returns the value of the first layer defining a setting with a non-empty value.
+ * @param {string} name - The setting name.
+ * @param {Array<Object>} layers - Setting values by name, in priority order.
+ * @param {*} defaultValue - The value used when no layer defines the setting.
+ * @returns {*} The resolved setting value.
+ */
+function resolveSetting(name, layers, defaultValue) {
+  const layer = layers.find(values => values[name] !== undefined && values[name] !== null && values[name] !== '');
+  return layer ? layer[name] : defaultValue;
+}
+
+/**
+ * Loads the settings layers once per execution.
+ * Does not use debugLog, which depends on the settings itself.
+ * @returns {Array<Object>} Document properties, script properties and Settings sheet values.
+ */
+function getSettingsLayers() {
+  if (SETTINGS_LAYERS) return SETTINGS_LAYERS;
+  const layers = [];
+  try {
+    layers.push(PropertiesService.getDocumentProperties().getProperties());
+  } catch (error) {
+    Logger.log(`Error reading document properties: ${error.message}`);
+  }
+  try {
+    layers.push(PropertiesService.getScriptProperties().getProperties());
+  } catch (error) {
+    Logger.log(`Error reading script properties: ${error.message}`);
+  }
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = spreadsheet && spreadsheet.getSheetByName(CONFIG.SETTINGS_SHEET);
+    if (sheet) {
+      layers.push(sheet.getDataRange().getValues().slice(1).reduce((values, [key, value]) => {
+        if (key) values[String(key).trim()] = value;
+        return values;
+      }, {}));
+    }
+  } catch (error) {
+    Logger.log(`Error reading the Settings sheet: ${error.message}`);
+  }
+  SETTINGS_LAYERS = layers;
+  return layers;
+}
+
+/**
+ * Checks whether debug logging is enabled by the DEBUG setting.
+ * @returns {boolean} True if debug logging is enabled.
+ */
+function isDebugEnabled() {
+  const value = getSetting('DEBUG', CONFIG.DEBUG);
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
 /**
  * Retrieves the webhook URL for a specific operation.
+ * Resolved from the WEBHOOK_<OPERATION> setting, with CONFIG.WEBHOOKS as fallback.
  * @param {string} operation - The operation name for which to retrieve the webhook URL.
  * @returns {string|null} The webhook URL if found, null otherwise.
  */
 function getWebhookUrl(operation) {
   try {
-    if (CONFIG.DEBUG) Logger.log(`Retrieving webhook URL for operation: ${operation}`);
-    return CONFIG.WEBHOOKS[operation] || null;
+    if (isDebugEnabled()) Logger.log(`Retrieving webhook URL for operation: ${operation}`);
+    return getSetting(`WEBHOOK_${operation}`, CONFIG.WEBHOOKS[operation]) || null;
   } catch (error) {
     Logger.log(`Error in getWebhookUrl: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * Retrieves the dispatch settings for a specific operation, merged over the defaults.
+ * @param {string} operation - The operation name.
+ * @returns {Object} The operation settings (schemaVersion, schema, context, headers, timeoutMs, batchSize, backend).
+ */
+function getOperationConfig(operation) {
+  const defaults = CONFIG.OPERATION_DEFAULTS || { schemaVersion: "1.0", headers: {}, timeoutMs: 30000, batchSize: 20, backend: "webhook" };
+  const overrides = (CONFIG.OPERATIONS || {})[operation] || {};
+  return Object.assign({}, defaults, overrides, {
+    headers: Object.assign({}, defaults.headers, overrides.headers)
+  });
+}
+
 /**
  * Logs a message if debug mode is enabled or if it's a critical message.
  * @param {string} message - The message to log.
  * @param {boolean} [critical=false] - Whether the message is critical and should always be logged.
  */
 function debugLog(message, critical = false) {
-  if (CONFIG.DEBUG || critical) {
+  if (critical || isDebugEnabled()) {
     Logger.log(message);
   }
 }
@@ -51,4 +345,6 @@ function debugLog(message, critical = false) {
 // Export the functions and CONFIG object
 this.CONFIG = CONFIG;
 this.getWebhookUrl = getWebhookUrl;
+this.getSetting = getSetting;
+this.getOperationConfig = getOperationConfig;
 this.debugLog = debugLog;
@@ -1,26 +1,142 @@
 /**
- * Functions specific to the Context sheet.
- * Handles edits and updates JSON cache.
+ * Functions specific to the context sheets.
+ * Assembles the context object from the sheets listed in CONFIG.CONTEXT_SOURCES
+ * (Context, ProductBrief, Team) and updates JSON cache.
  */
 
 /**
- * Handles edits in the Context sheet and updates JSON cache.
+ * Parsers turning the values of a context source sheet into JSON, by parser name.
+ * @const {Object}
+ */
+var CONTEXT_PARSERS = {
+    context: data => createContextJSON(data),
+    keyValue: data => parseKeyValueSheet(data),
+    records: data => parseRecordsSheet(data)
+};
+
+/**
+ * Handles edits in any context source sheet and updates JSON cache.
  * @param {Object} e - The event object from the edit trigger.
  */
 function handleContextEdit(e) {
     try {
         debugLog('Handling Context sheet edit');
-        const data = getSheetData("Context");
-        const json = createContextJSON(data);
-        const spreadsheet = e.source;
-        const cacheKey = getCacheKey(spreadsheet);
-        CacheService.getScriptCache().put(cacheKey, JSON.stringify(json));
+        const json = buildContextCache(e.source);
         debugLog(`Final Context JSON: ${JSON.stringify(json)}`, true); // Always log the final JSON
     } catch (error) {
         Logger.log(`Error in handleContextEdit: ${error.message}`);
     }
 }
 
+/**
+ * Builds the context JSON from the context source sheets and stores it in the cache.
+ * Invalid rows of Context layout sheets are flagged with a note on their value cell.
+ * @param {Object} spreadsheet - The spreadsheet holding the context sheets.
+ * @returns {Object} The context JSON.
+ */
+function buildContextCache(spreadsheet) {
+    const sourcesData = readContextSources(spreadsheet);
+    const json = assembleContext(sourcesData);
+    sourcesData
+        .filter(({ source }) => source.parser === 'context')
+        .forEach(({ source, data }) => reportContextErrors(spreadsheet.getSheetByName(source.sheet), parseContextSheet(data).errors));
+    storeContextCache(spreadsheet, sourcesData, json);
+    return json;
+}
+
+/**
+ * Caches the context JSON under the hash of its source sheets and remembers the hash
+ * in the document properties, so getContextData finds it without reading the sheets.
+ * @param {Object} spreadsheet - The spreadsheet holding the context sheets.
+ * @param {Array<{source: Object, data: Array}>} sourcesData - The sources with their sheet values.
+ * @param {Object} json - The context JSON assembled from the sources.
+ */
+function storeContextCache(spreadsheet, sourcesData, json) {
+    const hash = computeContextHash(sourcesData);
+    putChunkedCache(CacheService.getScriptCache(), getCacheKey(spreadsheet, hash), json, CONFIG.CONTEXT_CACHE_SECONDS);
+    PropertiesService.getDocumentProperties().setProperty(CONTEXT_HASH_PROPERTY, hash);
+}
+
+/**
+ * Reads the values of every existing context source sheet.
+ * @param {Object} spreadsheet - The spreadsheet holding the context sheets.
+ * @returns {Array<{source: Object, data: Array}>} The sources with their sheet values.
+ */
+function readContextSources(spreadsheet) {
+    return CONFIG.CONTEXT_SOURCES.reduce((sourcesData, source) => {
+        const sheet = spreadsheet.getSheetByName(source.sheet);
+        if (sheet) {
+            sourcesData.push({ source: source, data: sheet.getDataRange().getValues() });
+        } else {
+            debugLog(`Context source sheet not found: ${source.sheet}`);
+        }
+        return sourcesData;
+    }, []);
+}
+
+/**
+ * Merges the parsed context source sheets into one context object.
+ * Sources without a namespace are merged at the root, the others under their namespace.
+ * @param {Array<{source: Object, data: Array}>} sourcesData - The sources with their sheet values.
+ * @returns {Object} The context JSON.
+ */
+function assembleContext(sourcesData) {
+    return sourcesData.reduce((context, { source, data }) => {
+        const parser = CONTEXT_PARSERS[source.parser];
+        if (!parser) {
+            Logger.log(`Error in assembleContext: Unknown context parser ${source.parser} for ${source.sheet}`);
+            return context;
+        }
+        const parsed = parser(data);
+        if (source.namespace) {
+            context[source.namespace] = parsed;
+        } else {
+            Object.assign(context, parsed);
+        }
+        return context;
+    }, {});
+}
+
+/**
+ * Parses a key/value sheet: keys in column A, values in column B, header row skipped.
+ * @param {Array} data - The sheet values.
+ * @returns {Object} The key/value pairs with parsed values.
+ */
+function parseKeyValueSheet(data) {
+    return data.slice(1).reduce((result, [key, value]) => {
+        if (key && value !== undefined && value !== '') result[key] = parseValue(value);
+        return result;
+    }, {});
+}
+
+/**
+ * Parses a table sheet into one record per non-empty row, keyed by the header row.
+ * @param {Array} data - The sheet values.
+ * @returns {Array<Object>} The records.
+ */
+function parseRecordsSheet(data) {
+    const [headers, ...rows] = data;
+    if (!headers) return [];
+    return rows
+        .filter(row => row.some(value => value !== ''))
+        .map(row => getRowData(headers, row));
+}
+
+/**
+ * Rebuilds the cached context from the sheet, regardless of what is cached.
+ * Used by the "Refresh context" menu action.
+ * @returns {Object} The rebuilt context JSON.
+ */
+function refreshContext() {
+    try {
+        debugLog('Refreshing context cache');
+        return buildContextCache(SpreadsheetApp.getActiveSpreadsheet());
+    } catch (error) {
+        Logger.log(`Error in refreshContext: ${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Retrieves data from the specified sheet.
  * @param {string} sheetName - The name of the sheet to retrieve data from.
@@ -38,107 +154,208 @@ function getSheetData(sheetName) {
     }
 }
 
+/**
+ * Column indexes of the Context sheet layout.
+ * @const {Object}
+ */
+var CONTEXT_COLUMNS = { COLLECTION: 0, KEY: 3, VALUE: 6, TYPE: 9 };
+
+/**
+ * Converters for the optional type column of the Context sheet.
+ * Each converter returns the typed value or throws an error describing the problem.
+ * @const {Object}
+ */
+var CONTEXT_TYPE_CONVERTERS = {
+    text: value => String(value),
+    markdown: value => String(value),
+    number: value => {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (String(value).trim() === '' || !isFinite(number)) throw new Error(`"${value}" is not a number`);
+        return number;
+    },
+    date: value => {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) throw new Error(`"${value}" is not a date`);
+        return date.toISOString();
+    },
+    list: value => (Array.isArray(value) ? value : String(value).split(/[,\n]/))
+        .map(item => String(item).trim())
+        .filter(item => item !== ''),
+    json: value => {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            throw new Error(`invalid JSON: ${e.message}`);
+        }
+    }
+};
+
 /**
  * Creates a JSON object from the Context sheet data efficiently.
- * This function processes the data from the Context sheet, creating a structured JSON object.
- * It handles nested structures based on the presence of a collection identifier in column A,
- * and creates key-value pairs from columns D and G.
+ * See parseContextSheet for the supported layout; rows with errors are left out.
+ * 
+ * @param {Array} data - The data from the Context sheet.
+ * @returns {Object} - The structured JSON object representing the Context data.
+ */
+function createContextJSON(data) {
+    try {
+        return parseContextSheet(data).json;
+    } catch (error) {
+        Logger.log(`Error in createContextJSON: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Parses the Context sheet data into a structured JSON object and a list of row errors.
+ * 
+ * The key in column D is a dot path. When column A names a collection, the path is
+ * nested under it. Array indexes are written in brackets, e.g. "team.roles[0].name".
+ * A key repeated on several rows collects its values into an array.
+ * Column J optionally names the value type (text, markdown, number, date, list, json).
+ * Untyped values are parsed as JSON when possible and kept as they are otherwise.
  * 
  * @param {Array} data - The data from the Context sheet. Expected format:
  *                       [
- *                         [Header A, Header B, Header C, Header D, Header E, Header F, Header G],
- *                         [Collection, , , Key, , , Value],
+ *                         [Header A, Header B, Header C, Header D, Header E, Header F, Header G, ..., Header J],
+ *                         [Collection, , , Key, , , Value, , , Type],
  *                         ...
  *                       ]
- * @returns {Object} - The structured JSON object representing the Context data.
+ * @returns {{json: Object, errors: Array<{row: number, message: string}>}} The JSON object,
+ *          and the sheet row number and message of every row that could not be used.
  * 
  * @example
  * // Input data:
  * // [
- * //   ["Header A", "Header B", "Header C", "Header D", "Header E", "Header F", "Header G"],
- * //   ["Collection1", "", "", "Key1", "", "", "Value1"],
- * //   ["Collection1", "", "", "Key2", "", "", "Value2"],
- * //   ["", "", "", "Key3", "", "", "Value3"],
- * //   ["Collection2", "", "", "Key4", "", "", '{"nestedKey": "nestedValue"}']
+ * //   ["Header A", "Header B", "Header C", "Header D", "Header E", "Header F", "Header G", "", "", "Header J"],
+ * //   ["team", "", "", "roles[0].name", "", "", "Developer"],
+ * //   ["team", "", "", "roles[0].rate", "", "", "50", "", "", "number"],
+ * //   ["", "", "", "goal", "", "", "Launch"],
+ * //   ["", "", "", "goal", "", "", "Grow"],
+ * //   ["", "", "", "stack", "", "", "GAS, make.com", "", "", "list"]
  * // ]
  * // 
- * // Output:
+ * // Output json:
  * // {
- * //   "Collection1": {
- * //     "Key1": "Value1",
- * //     "Key2": "Value2"
- * //   },
- * //   "Key3": "Value3",
- * //   "Collection2": {
- * //     "Key4": {"nestedKey": "nestedValue"}
- * //   }
+ * //   "team": { "roles": [{ "name": "Developer", "rate": 50 }] },
+ * //   "goal": ["Launch", "Grow"],
+ * //   "stack": ["GAS", "make.com"]
  * // }
  */
-function createContextJSON(data) {
-    try {
-        const result = {};
-        const grouped = {};
-        const nonCollectionRows = [];
-
-        // Batch process rows, skipping the header
-        data.slice(1).forEach(row => {
-            const [collection, , , key, , , value] = row;
-            if (key && value !== undefined && value !== '') {
-                if (collection) {
-                    if (!grouped[collection]) grouped[collection] = [];
-                    grouped[collection].push([key, value]);
-                } else {
-                    nonCollectionRows.push([key, value]);
-                }
-            }
-        });
+function parseContextSheet(data) {
+    const json = {};
+    const errors = [];
+    const assignedPaths = {};
 
-        // Process grouped data
-        Object.entries(grouped).forEach(([collection, rows]) => {
-            result[collection] = Object.fromEntries(rows);
-        });
+    // Process rows in order, skipping the header
+    data.slice(1).forEach((row, index) => {
+        const collection = row[CONTEXT_COLUMNS.COLLECTION];
+        const key = row[CONTEXT_COLUMNS.KEY];
+        const value = row[CONTEXT_COLUMNS.VALUE];
+        const type = String(row[CONTEXT_COLUMNS.TYPE] || '').trim().toLowerCase();
+        if (!key || value === undefined || value === '') return;
 
-        // Handle non-collection rows
-        Object.assign(result, Object.fromEntries(nonCollectionRows));
-
-        // Batch parse values
-        const allValues = Object.values(result).flatMap(obj => 
-            obj instanceof Object ? Object.values(obj) : [obj]
-        );
-        const parsedValues = batchParseValues(allValues);
-
-        // Assign parsed values back to the result
-        let index = 0;
-        Object.keys(result).forEach(key => {
-            if (result[key] instanceof Object) {
-                Object.keys(result[key]).forEach(subKey => {
-                    result[key][subKey] = parsedValues[index++];
-                });
-            } else {
-                result[key] = parsedValues[index++];
-            }
-        });
+        try {
+            const path = parseContextPath(collection ? `${collection}.${key}` : String(key));
+            setContextPathValue(json, path, convertContextValue(value, type), assignedPaths);
+        } catch (error) {
+            errors.push({ row: index + 2, message: error.message });
+        }
+    });
 
-        return result;
-    } catch (error) {
-        Logger.log(`Error in createContextJSON: ${error.message}`);
-        return {};
-    }
+    return { json: json, errors: errors };
 }
 
 /**
- * Parses multiple values efficiently.
- * @param {Array} values - Array of values to parse.
- * @returns {Array} - Array of parsed values.
+ * Splits a dot path with bracket indexes into its segments.
+ * @param {string} path - The path, e.g. "team.roles[0].name".
+ * @returns {Array<string|number>} The segments, e.g. ["team", "roles", 0, "name"].
+ * @throws {Error} If the path has an empty segment.
  */
-function batchParseValues(values) {
-    return values.map(value => {
-        try {
-            return JSON.parse(value);
-        } catch (e) {
-            return value;
+function parseContextPath(path) {
+    const segments = [];
+    String(path).split('.').forEach(part => {
+        const match = part.trim().match(/^([^\[\]]+)((?:\[\d+\])*)$/);
+        if (!match) throw new Error(`invalid key path "${path}"`);
+        segments.push(match[1]);
+        (match[2].match(/\d+/g) || []).forEach(index => segments.push(Number(index)));
+    });
+    return segments;
+}
+
+/**
+ * Sets a value at a path, creating objects and arrays on the way.
+ * Setting the same path twice turns its value into an array of all values.
+ * @param {Object} target - The object to write to.
+ * @param {Array<string|number>} path - The path segments.
+ * @param {*} value - The value to set.
+ * @param {Object} assignedPaths - State of the paths set so far ("value" or "array"), shared across calls.
+ * @throws {Error} If the path conflicts with a value set by an earlier row.
+ */
+function setContextPathValue(target, path, value, assignedPaths) {
+    const conflict = () => new Error(`key path "${path.join('.')}" conflicts with an existing value`);
+    let node = target;
+    path.slice(0, -1).forEach((segment, index) => {
+        const container = typeof path[index + 1] === 'number' ? [] : {};
+        if (node[segment] === undefined) node[segment] = container;
+        if (assignedPaths[JSON.stringify(path.slice(0, index + 1))] || Array.isArray(node[segment]) !== Array.isArray(container)) {
+            throw conflict();
         }
+        node = node[segment];
+    });
+
+    const leaf = path[path.length - 1];
+    const pathKey = JSON.stringify(path);
+    if (node[leaf] === undefined) {
+        node[leaf] = value;
+        assignedPaths[pathKey] = 'value';
+    } else if (assignedPaths[pathKey] === 'value') {
+        node[leaf] = [node[leaf], value];
+        assignedPaths[pathKey] = 'array';
+    } else if (assignedPaths[pathKey] === 'array') {
+        node[leaf].push(value);
+    } else {
+        throw conflict();
+    }
+}
+
+/**
+ * Converts a Context value according to its type column.
+ * @param {*} value - The raw cell value.
+ * @param {string} type - The lower-case type name, empty for untyped values.
+ * @returns {*} The converted value.
+ * @throws {Error} If the type is unknown or the value does not match it.
+ */
+function convertContextValue(value, type) {
+    if (!type) return parseValue(value);
+    const converter = CONTEXT_TYPE_CONVERTERS[type];
+    if (!converter) throw new Error(`unknown type "${type}"`);
+    return converter(value);
+}
+
+/**
+ * Prefix of the notes written by reportContextErrors, other notes on the value cells are kept.
+ * @const {string}
+ */
+var CONTEXT_ERROR_NOTE = "Context error: ";
+
+/**
+ * Writes the Context row errors as notes on the value cells and clears the error notes
+ * of rows that are valid again. Only the changed cells are written.
+ * @param {Object} sheet - The Context sheet.
+ * @param {Array<{row: number, message: string}>} errors - The row errors from parseContextSheet.
+ */
+function reportContextErrors(sheet, errors) {
+    const rowCount = sheet.getLastRow() - 1;
+    if (rowCount < 1) return;
+    const range = sheet.getRange(2, CONTEXT_COLUMNS.VALUE + 1, rowCount, 1);
+    const current = range.getNotes();
+    const wanted = current.map(([note]) => (String(note).startsWith(CONTEXT_ERROR_NOTE) ? '' : note));
+    errors.forEach(error => { wanted[error.row - 2] = `${CONTEXT_ERROR_NOTE}${error.message}`; });
+    wanted.forEach((note, index) => {
+        if (note !== current[index][0]) range.getCell(index + 1, 1).setNote(note);
     });
+    if (errors.length > 0) debugLog(`Context sheet has ${errors.length} invalid row(s)`, true);
 }
 
 /**
@@ -154,18 +371,155 @@ function parseValue(value) {
     }
 }
 
+/**
+ * Document property holding the hash of the context source sheets, see storeContextCache.
+ * @const {string}
+ */
+var CONTEXT_HASH_PROPERTY = "CONTEXT_HASH";
+
+/**
+ * Hashes the values of every context source sheet, so any edited value yields a new hash.
+ * @param {Array<{source: Object, data: Array}>} sourcesData - The sources with their sheet values.
+ * @returns {string} The hash.
+ */
+function computeContextHash(sourcesData) {
+    return computeContentHash(sourcesData.map(({ source, data }) => [source.sheet, data]));
+}
+
 /**
  * Gets the cache key for context data.
  * @param {Object} spreadsheet - The active spreadsheet.
+ * @param {string} hash - The hash of the context source sheets, see computeContextHash.
  * @returns {string} The cache key.
  */
-function getCacheKey(spreadsheet) {
-    const contextSheet = spreadsheet.getSheetByName("Context");
-    const lastRow = contextSheet.getLastRow();
-    return `contextData_${spreadsheet.getId()}_${lastRow}`;
+function getCacheKey(spreadsheet, hash) {
+    return `contextData_${spreadsheet.getId()}_${hash}`;
+}
+
+/**
+ * Characters per token used to estimate the size of the context in LLM tokens.
+ * @const {number}
+ */
+var CONTEXT_CHARS_PER_TOKEN = 4;
+
+/**
+ * Replaces the context of a payload with the collections its operation needs,
+ * within the token budget of the operation, and reports the selection in context_meta.
+ * Payloads without a context, or already budgeted, are left unchanged.
+ * @param {string} operation - The operation name.
+ * @param {Object} json - The payload, changed in place.
+ * @returns {Object} The same payload.
+ */
+function applyContextBudget(operation, json) {
+    if (!json.context || json.context_meta) return json;
+    const selection = selectContext(json.context, getOperationConfig(operation).context || {});
+    json.context = selection.context;
+    json.context_meta = selection.meta;
+    if (selection.meta.omitted.length > 0 || selection.meta.truncated.length > 0) {
+        debugLog(`${operation} context: ${JSON.stringify(selection.meta)}`);
+    }
+    return json;
+}
+
+/**
+ * Selects the context collections, the top-level keys of the context object, in priority order.
+ * Collections are added while they fit the budget. A collection too large for the rest of the
+ * budget is truncated (leading list items, object keys or text) and left out if nothing fits,
+ * so the collections listed first are the last to lose data.
+ * @param {Object} context - The assembled context.
+ * @param {Object} options - The context settings of the operation.
+ * @param {Array<string>} [options.collections=["*"]] - Collection names by priority, "*" for every collection not listed.
+ * @param {Array<string>} [options.exclude=[]] - Collections never sent.
+ * @param {?number} [options.maxTokens] - The approximate token budget, unlimited when empty.
+ * @returns {{context: Object, meta: {included: Array<string>, truncated: Array<string>,
+ *          omitted: Array<{name: string, reason: string}>, tokens: number, maxTokens: ?number}}}
+ *          The selected context and what was included and left out.
+ */
+function selectContext(context, options) {
+    const available = Object.keys(context || {});
+    const exclude = options.exclude || [];
+    const names = (options.collections || ['*']).reduce((ordered, name) => {
+        const expanded = name === '*' ? available.filter(key => (options.collections || []).indexOf(key) === -1) : [name];
+        expanded.forEach(key => {
+            if (available.indexOf(key) !== -1 && exclude.indexOf(key) === -1 && ordered.indexOf(key) === -1) ordered.push(key);
+        });
+        return ordered;
+    }, []);
+
+    const maxTokens = options.maxTokens || null;
+    let remaining = maxTokens || Infinity;
+    const selected = {};
+    const meta = { included: [], truncated: [], omitted: [], tokens: 0, maxTokens: maxTokens };
+    available.filter(key => names.indexOf(key) === -1).forEach(key => meta.omitted.push({ name: key, reason: 'not selected' }));
+
+    names.forEach(name => {
+        const tokens = estimateTokens(context[name]);
+        if (tokens <= remaining) {
+            selected[name] = context[name];
+            remaining -= tokens;
+            meta.included.push(name);
+            return;
+        }
+        const truncated = truncateContextValue(context[name], remaining);
+        if (truncated === undefined) {
+            meta.omitted.push({ name: name, reason: 'budget' });
+            return;
+        }
+        selected[name] = truncated;
+        remaining -= estimateTokens(truncated);
+        meta.included.push(name);
+        meta.truncated.push(name);
+    });
+    meta.tokens = estimateTokens(selected);
+    return { context: selected, meta: meta };
+}
+
+/**
+ * Shortens a context value to fit a token budget.
+ * Lists keep their leading items, objects their leading keys whose values fit whole, text is cut.
+ * @param {*} value - The context value.
+ * @param {number} budget - The tokens left.
+ * @returns {*} The shortened value, or undefined if no part of it fits.
+ */
+function truncateContextValue(value, budget) {
+    if (typeof value === 'string') {
+        const length = budget * CONTEXT_CHARS_PER_TOKEN - 3; // Quotes and ellipsis
+        return length > 0 ? `${value.slice(0, length)}…` : undefined;
+    }
+    if (Array.isArray(value)) {
+        const items = [];
+        for (const item of value) {
+            if (estimateTokens(items.concat([item])) > budget) break;
+            items.push(item);
+        }
+        return items.length > 0 ? items : undefined;
+    }
+    if (value && typeof value === 'object') {
+        const kept = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (estimateTokens(Object.assign({}, kept, { [key]: item })) <= budget) kept[key] = item;
+        });
+        return Object.keys(kept).length > 0 ? kept : undefined;
+    }
+    return undefined;
+}
+
+/**
+ * Estimates the size of a value in LLM tokens from the length of its JSON.
+ * @param {*} value - The value.
+ * @returns {number} The approximate number of tokens.
+ */
+function estimateTokens(value) {
+    const text = JSON.stringify(value === undefined ? null : value);
+    return Math.ceil(text.length / CONTEXT_CHARS_PER_TOKEN);
 }
 
 // Export functions
 this.handleContextEdit = handleContextEdit;
 this.createContextJSON = createContextJSON;
 this.getCacheKey = getCacheKey;
+this.buildContextCache = buildContextCache;
+this.refreshContext = refreshContext;
+this.assembleContext = assembleContext;
+this.parseContextSheet = parseContextSheet;
+this.applyContextBudget = applyContextBudget;
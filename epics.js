@@ -11,39 +11,87 @@
 
 /**
  * Handles edits in the Epics sheet and processes data for webhook.
- * This function is triggered when an edit occurs in the Epics sheet.
- * If the edit is in the correct column and has the correct value,
- * it extracts the relevant data and sends it to a webhook.
+ * This function is called by handleEdit when an edit matches an Epics
+ * entry of the trigger registry. Every row of the edited range holding the
+ * trigger value is groomed. A single row is sent in the Epics JSON shape,
+ * several rows are sent as batched payloads sharing one context object.
  * 
  * @param {Object} e - The event object from the edit trigger.
+ * @param {Object} trigger - The matching CONFIG.TRIGGERS entry.
+ * @returns {Array<Object>} Per row status: {row_id, status: 'sent'|'groomed'|'duplicate'|'failed', error}.
  */
-function handleEpicsEdit(e) {
+function handleEpicsEdit(e, trigger) {
     try {
         debugLog('Handling Epics sheet edit');
-        const sheet = e.source.getActiveSheet();
-        const range = e.range;
-        
-        if (isExtractTodoSummariesTrigger(range)) {
-            const rowData = getEventRowData(sheet, range);
-            const contextData = getContextData(e.source);
-            const json = createEpicsJSON(rowData, contextData, e);
+        const sheet = e.range.getSheet();
+        const rows = getTriggeredRows(sheet, e.range, trigger);
+        if (rows.length === 0) return [];
+        const contextData = getContextData(e.source);
+
+        if (rows.length === 1) {
+            const json = createEpicsJSON(rows[0].data, contextData, e);
+            json.row_id = rows[0].rowId;
             debugLog(`Final Epics JSON: ${JSON.stringify(json)}`, true); // Always log the final JSON
-            sendToWebhook(json);
+            const result = dispatchOperation(trigger.operation, json, { sheet: sheet.getName(), row: rows[0].rowId });
+            return logRowStatuses(sheet, [{ row_id: rows[0].rowId, status: getDeliveryStatus(result), error: result.error }]);
         }
+
+        const statuses = [];
+        chunkArray(rows, getOperationConfig(trigger.operation).batchSize).forEach(chunk => {
+            const json = createEpicsBatchJSON(chunk, contextData, e);
+            debugLog(`Final Epics batch JSON: ${JSON.stringify(json)}`, true); // Always log the final JSON
+            const result = dispatchOperation(trigger.operation, json, { sheet: sheet.getName(), row: chunk[0].rowId });
+            chunk.forEach(row => statuses.push({ row_id: row.rowId, status: getDeliveryStatus(result), error: result.error }));
+        });
+        return logRowStatuses(sheet, statuses);
     } catch (error) {
         Logger.log(`Error in handleEpicsEdit: ${error.message}`);
         // Consider implementing more detailed error reporting here
+        return [];
     }
 }
 
 /**
- * Checks if the edit should trigger Epics extraction.
+ * Collects the rows of an edited range whose trigger column holds the trigger value.
+ * Rows marked as queued for this trigger, see getQueuedNote, are included; rows queued
+ * for another trigger sharing the column are not.
  * 
+ * @param {Object} sheet - The active sheet.
  * @param {Object} range - The edited range.
- * @returns {boolean} True if extraction should be triggered.
+ * @param {Object} trigger - The matching CONFIG.TRIGGERS entry.
+ * @returns {Array<{rowId: number, data: Object}>} The triggered rows mapped to headers.
  */
-function isExtractTodoSummariesTrigger(range) {
-    return range.getColumn() === 10 && range.getValue() === "Groom EPIC";
+function getTriggeredRows(sheet, range, trigger) {
+    debugLog('Getting triggered rows');
+    const lastColumn = sheet.getLastColumn();
+    const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+    const values = sheet.getRange(range.getRow(), 1, range.getNumRows(), lastColumn).getValues();
+    const triggerIndex = headers.indexOf(trigger.header);
+    const notes = values.some(row => triggerIndex !== -1 && row[triggerIndex] === ACTION_STATUS.QUEUED)
+        ? sheet.getRange(range.getRow(), triggerIndex + 1, range.getNumRows(), 1).getNotes()
+        : [];
+    const isQueuedForTrigger = index => notes[index] !== undefined && notes[index][0] === getQueuedNote(trigger);
+    return values
+        .map((row, index) => ({ rowId: range.getRow() + index, row: row }))
+        .filter((item, index) => triggerIndex === -1 || item.row[triggerIndex] === trigger.value ||
+            (item.row[triggerIndex] === ACTION_STATUS.QUEUED && isQueuedForTrigger(index)))
+        .map(item => ({ rowId: item.rowId, data: getRowData(headers, item.row) }));
+}
+
+/**
+ * Logs the per row statuses of a grooming request and writes them into the action cells.
+ * 
+ * @param {Object} sheet - The Epics sheet.
+ * @param {Array<Object>} statuses - Per row status objects.
+ * @returns {Array<Object>} The same statuses.
+ */
+function logRowStatuses(sheet, statuses) {
+    writeRowStatuses(sheet, statuses);
+    statuses
+        .filter(status => status.status === 'failed')
+        .forEach(status => Logger.log(`Epic grooming request for row ${status.row_id} failed: ${status.error}`));
+    debugLog(`Epics row statuses: ${JSON.stringify(statuses)}`);
+    return statuses;
 }
 
 /**
@@ -62,22 +110,21 @@ function getEventRowData(sheet, range) {
 
 /**
  * Retrieves context data, using cache if available.
+ * The cache key is the hash of the context sheets stored when they were last edited or
+ * refreshed, see storeContextCache, so the sheets are only read on a cache miss.
  * 
  * @param {Object} spreadsheet - The active spreadsheet.
  * @returns {Object} The context data.
  */
 function getContextData(spreadsheet) {
     try {
-        const cacheKey = getCacheKey(spreadsheet);
-        let contextData = CacheService.getScriptCache().get(cacheKey);
+        const hash = PropertiesService.getDocumentProperties().getProperty(CONTEXT_HASH_PROPERTY);
+        let contextData = hash ? getChunkedCache(CacheService.getScriptCache(), getCacheKey(spreadsheet, hash)) : null;
         if (!contextData) {
-            debugLog('Context data not found in cache, retrieving from sheet');
-            const contextSheet = spreadsheet.getSheetByName("Context");
-            const contextSheetData = contextSheet.getDataRange().getValues();
-            contextData = createContextJSON(contextSheetData);
-            CacheService.getScriptCache().put(cacheKey, JSON.stringify(contextData), 21600); // Cache for 6 hours
-        } else {
-            contextData = JSON.parse(contextData);
+            debugLog('Context data not found in cache, retrieving from sheets');
+            const sourcesData = readContextSources(spreadsheet);
+            contextData = assembleContext(sourcesData);
+            storeContextCache(spreadsheet, sourcesData, contextData);
         }
         return contextData;
     } catch (error) {
@@ -113,6 +160,7 @@ function getRowData(headers, row) {
  * @param {Object} contextData - The cached context data.
  * @param {Object} e - The event object from the edit trigger.
  * @returns {Object} The JSON object combining event and context data, excluding empty values and including additional metadata.
+ *          Rows of a hierarchy sheet also carry their record_id and parent_id, see ids.js.
  */
 function createEpicsJSON(data, contextData, e = null) {
     try {
@@ -124,10 +172,15 @@ function createEpicsJSON(data, contextData, e = null) {
 
         if (e) {
             json.gsheet_id = e.source.getId();
-            json.sheet_name_id = e.source.getActiveSheet().getName();
+            json.sheet_name_id = e.range.getSheet().getName();
             json.row_id = e.range.getRow();
-            json.user_id = Session.getActiveUser().getEmail();
-            json.modify_time = new Date().toISOString();
+            json.user_id = e.user ? e.user.getEmail() : Session.getActiveUser().getEmail();
+            json.modify_time = (e.editTime ? new Date(e.editTime) : new Date()).toISOString();
+            const identity = getRecordIdentity(json.sheet_name_id, data);
+            if (identity.id) {
+                json.record_id = identity.id;
+                json.parent_id = identity.parentId;
+            }
         }
 
         for (const [key, value] of Object.entries(data)) {
@@ -143,6 +196,37 @@ function createEpicsJSON(data, contextData, e = null) {
     }
 }
 
+/**
+ * Creates a batched JSON object for several Epics rows sharing one context object.
+ * 
+ * @param {Array<{rowId: number, data: Object}>} rows - The triggered rows.
+ * @param {Object} contextData - The cached context data.
+ * @param {Object} e - The event object from the edit trigger.
+ * @returns {Object} The Epics JSON shape with an items array of {row_id, record_id, parent_id, eventData} instead of eventData and row_id.
+ */
+function createEpicsBatchJSON(rows, contextData, e = null) {
+    try {
+        debugLog('Creating Epics batch JSON');
+        const json = createEpicsJSON({}, contextData, e);
+        delete json.eventData;
+        delete json.row_id;
+        json.items = rows.map(row => {
+            const identity = getRecordIdentity(json.sheet_name_id, row.data);
+            return {
+                row_id: row.rowId,
+                record_id: identity.id,
+                parent_id: identity.parentId,
+                eventData: createEpicsJSON(row.data, null).eventData
+            };
+        });
+        return json;
+    } catch (error) {
+        Logger.log(`Error in createEpicsBatchJSON: ${error.message}`);
+        return {};
+    }
+}
+
 // Export the functions
 this.handleEpicsEdit = handleEpicsEdit;
 this.createEpicsJSON = createEpicsJSON;
+this.createEpicsBatchJSON = createEpicsBatchJSON;
@@ -0,0 +1,175 @@
+/**
+ * Functions specific to the Estimates sheet.
+ * Sends subtasks for estimation and rolls estimated hours up into time and cost totals.
+ *
+ * Every Estimates row is one task estimate. Rows carry their parent "Story ID" and
+ * "Epic ID", the "Role" doing the work and the estimated "Hours". Costs are derived
+ * from the hourly rate of the role in the Team sheet.
+ *
+ * @module EstimatesModule
+ */
+
+/**
+ * Name of the sheet the roll-up totals are written to.
+ * @const {string}
+ */
+var ESTIMATE_TOTALS_SHEET = "Estimate Totals";
+
+/**
+ * Handles edits in the Estimates sheet.
+ * Sends the selected subtasks when the trigger starts an operation,
+ * otherwise the edit changed hours or roles: the totals are recomputed and a timeline rebuild is requested.
+ *
+ * @param {Object} e - The event object from the edit trigger.
+ * @param {Object} trigger - The matching CONFIG.TRIGGERS entry.
+ * @returns {Object|null|undefined} The delivery result when subtasks were sent.
+ */
+function handleEstimatesEdit(e, trigger) {
+    try {
+        debugLog('Handling Estimates sheet edit');
+        if (trigger.operation) {
+            return sendSelectedSubtasksForEstimation(e, trigger.operation);
+        } else {
+            updateEstimateTotals(e.source);
+            requestTimelineUpdate(e.source);
+        }
+    } catch (error) {
+        Logger.log(`Error in handleEstimatesEdit: ${error.message}`);
+    }
+}
+
+/**
+ * Collects the selected Estimates rows and sends them with the Team data to the estimation webhook.
+ *
+ * @param {Object} e - The event object from the edit trigger.
+ * @param {string} operation - The estimation operation name.
+ * @returns {Object|null} The delivery result, or null when nothing was selected.
+ */
+function sendSelectedSubtasksForEstimation(e, operation) {
+    const sheet = e.range.getSheet();
+    const [headers, ...rows] = sheet.getDataRange().getValues();
+    const selectedIndex = headers.indexOf(CONFIG.HEADERS.SELECTED);
+    if (selectedIndex === -1) throw new Error(`Header not found in Estimates: ${CONFIG.HEADERS.SELECTED}`);
+
+    const subtasks = rows
+        .map((row, index) => ({ row: row, rowId: index + 2 }))
+        .filter(item => item.row[selectedIndex] === true)
+        .map(item => Object.assign({ row_id: item.rowId }, getRowData(headers, item.row)));
+    if (subtasks.length === 0) {
+        debugLog('No subtasks selected for estimation', true);
+        return null;
+    }
+
+    const json = createEstimatesJSON(subtasks, getTeamData(e.source), getContextData(e.source), e);
+    debugLog(`Final Estimates JSON: ${JSON.stringify(json)}`, true); // Always log the final JSON
+    const result = dispatchOperation(operation, json, { sheet: sheet.getName(), row: e.range.getRow() });
+    if (!result.ok) Logger.log(`Estimation request failed: ${result.error}`);
+    writeRowStatuses(sheet, [{ row_id: e.range.getRow(), status: getDeliveryStatus(result), error: result.error }]);
+    return result;
+}
+
+/**
+ * Creates a JSON object for the estimation webhook.
+ *
+ * @param {Array<Object>} subtasks - The selected Estimates rows, each with its row_id.
+ * @param {Array<Object>} teamData - The Team records.
+ * @param {Object} contextData - The cached context data.
+ * @param {Object} e - The event object from the edit trigger.
+ * @returns {Object} The JSON object with context, team and subtasks, excluding empty values.
+ */
+function createEstimatesJSON(subtasks, teamData, contextData, e = null) {
+    try {
+        debugLog('Creating Estimates JSON');
+        const json = createEpicsJSON({}, contextData, e);
+        delete json.eventData;
+        json.team = teamData;
+        json.subtasks = subtasks.map(subtask => Object.fromEntries(
+            Object.entries(subtask).filter(([, value]) => value !== null && value !== undefined && value !== '')
+        ));
+        return json;
+    } catch (error) {
+        Logger.log(`Error in createEstimatesJSON: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Computes time and cost totals per task, story and epic.
+ * Rows with a role missing from the rates are counted in hours with zero cost.
+ *
+ * @param {Array<Object>} records - The Estimates rows mapped to headers.
+ * @param {Object} rates - Hourly rate per role, see getRoleRates.
+ * @returns {{rowCosts: Array<number>, tasks: Object, stories: Object, epics: Object}}
+ *          The cost of every record and the {hours, cost} totals keyed by ID.
+ */
+function computeEstimateRollups(records, rates) {
+    const rollups = { rowCosts: [], tasks: {}, stories: {}, epics: {} };
+    const addTo = (group, id, hours, cost) => {
+        if (!id) return;
+        if (!group[id]) group[id] = { hours: 0, cost: 0 };
+        group[id].hours += hours;
+        group[id].cost += cost;
+    };
+
+    records.forEach(record => {
+        const hours = Number(record[CONFIG.HEADERS.HOURS]) || 0;
+        const rate = rates[record[CONFIG.HEADERS.ROLE]] || 0;
+        const cost = hours * rate;
+        rollups.rowCosts.push(cost);
+        addTo(rollups.tasks, record[CONFIG.HEADERS.TASK_ID], hours, cost);
+        addTo(rollups.stories, record[CONFIG.HEADERS.STORY_ID], hours, cost);
+        addTo(rollups.epics, record[CONFIG.HEADERS.EPIC_ID], hours, cost);
+    });
+    return rollups;
+}
+
+/**
+ * Recomputes the estimate totals and writes them to the spreadsheet.
+ * The row cost goes to the Estimates "Cost" column when present, only for rows with hours
+ * and a role that has a rate, so other cells of the column keep their manual values or formulas.
+ * The totals per task, story and epic go to the Estimate Totals sheet.
+ * Runs on Estimates edits, written estimates and Team edits, see handleTeamEdit.
+ *
+ * @param {Object} spreadsheet - The active spreadsheet.
+ * @returns {Object|null} The computed roll-ups, or null on error.
+ */
+function updateEstimateTotals(spreadsheet) {
+    try {
+        debugLog('Updating estimate totals');
+        const sheet = spreadsheet.getSheetByName("Estimates");
+        if (!sheet) throw new Error('Sheet not found: Estimates');
+        const [headers, ...rows] = sheet.getDataRange().getValues();
+        const records = rows.map(row => getRowData(headers, row));
+        const rates = getRoleRates(getTeamData(spreadsheet));
+        const rollups = computeEstimateRollups(records, rates);
+
+        const costColumn = getColumnByHeader(headers, CONFIG.HEADERS.COST);
+        if (costColumn) {
+            records.forEach((record, index) => {
+                const hours = record[CONFIG.HEADERS.HOURS];
+                const isRated = hours !== '' && hours !== null && hours !== undefined && record[CONFIG.HEADERS.ROLE] in rates;
+                if (isRated && record[CONFIG.HEADERS.COST] !== rollups.rowCosts[index]) {
+                    sheet.getRange(index + 2, costColumn).setValue(rollups.rowCosts[index]);
+                }
+            });
+        }
+
+        const totalsSheet = spreadsheet.getSheetByName(ESTIMATE_TOTALS_SHEET) || spreadsheet.insertSheet(ESTIMATE_TOTALS_SHEET);
+        const output = [["Level", "ID", "Hours", "Cost"]];
+        [["Epic", rollups.epics], ["Story", rollups.stories], ["Task", rollups.tasks]].forEach(([level, group]) => {
+            Object.entries(group).forEach(([id, totals]) => output.push([level, id, totals.hours, totals.cost]));
+        });
+        totalsSheet.clearContents();
+        totalsSheet.getRange(1, 1, output.length, output[0].length).setValues(output);
+        return rollups;
+    } catch (error) {
+        Logger.log(`Error in updateEstimateTotals: ${error.message}`);
+        return null;
+    }
+}
+
+// Export the functions
+this.handleEstimatesEdit = handleEstimatesEdit;
+this.createEstimatesJSON = createEstimatesJSON;
+this.computeEstimateRollups = computeEstimateRollups;
+this.updateEstimateTotals = updateEstimateTotals;
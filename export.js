@@ -0,0 +1,250 @@
+/**
+ * Exports the project plan: the Epic → story → subtask tree with its estimates.
+ *
+ * The Epics, US/Tasks and Estimates rows are mapped to headers with getRowData and
+ * linked by their hierarchy IDs, see ids.js. The tree is written as
+ * - a Jira CSV, one issue per row linked with "Issue Id" and "Parent Id", which Linear imports too
+ * - a Markdown project brief
+ * - a JSON dump of every row
+ * The files are saved next to the spreadsheet in Drive.
+ *
+ * @module export
+ */
+
+/**
+ * Jira issue type of each hierarchy level.
+ * @const {Object}
+ */
+var JIRA_ISSUE_TYPES = {
+    epic: "Epic",
+    story: "Story",
+    subtask: "Sub-task"
+};
+
+/**
+ * Operation whose payload schema names the header aliases of each hierarchy level,
+ * so a plan whose sheets say e.g. "Epic Name" instead of "Title" still exports its titles.
+ * @const {Object}
+ */
+var EXPORT_SCHEMA_OPERATIONS = {
+    epic: "GROOM_EPICS",
+    story: "GROOM_USER_STORIES_AND_TASKS",
+    subtask: "GROOM_SUBTASKS"
+};
+
+/**
+ * Header row of the Jira CSV.
+ * @const {Array<string>}
+ */
+var JIRA_CSV_HEADERS = ["Issue Id", "Parent Id", "Issue Type", "Summary", "Description", "Labels", "Original Estimate"];
+
+/**
+ * Exports the project plan of a spreadsheet and saves the files to Drive.
+ * @param {Object} spreadsheet - The spreadsheet to export.
+ * @returns {Array<{name: string, url: string, downloadUrl: string}>} The saved files.
+ */
+function exportProjectPlan(spreadsheet) {
+    const tree = readProjectTree(spreadsheet);
+    const title = spreadsheet.getName();
+    const date = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    const files = [
+        { name: `${title} - Jira ${date}.csv`, content: createJiraCsv(tree), mimeType: 'text/csv' },
+        { name: `${title} - Brief ${date}.md`, content: createMarkdownBrief(tree, title), mimeType: 'text/markdown' },
+        { name: `${title} - Plan ${date}.json`, content: JSON.stringify(createProjectDump(tree, spreadsheet), null, 2), mimeType: 'application/json' }
+    ];
+
+    const parents = DriveApp.getFileById(spreadsheet.getId()).getParents();
+    const folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+    return files.map(file => {
+        const saved = folder.createFile(file.name, file.content, file.mimeType);
+        debugLog(`Exported ${file.name}`, true);
+        return { name: file.name, url: saved.getUrl(), downloadUrl: `https://drive.google.com/uc?export=download&id=${saved.getId()}` };
+    });
+}
+
+/**
+ * Reads the Epics, US/Tasks and Estimates sheets and builds the project tree.
+ * @param {Object} spreadsheet - The spreadsheet to read.
+ * @returns {Object} The project tree, see buildProjectTree.
+ */
+function readProjectTree(spreadsheet) {
+    const readRecords = sheetName => {
+        const sheet = spreadsheet.getSheetByName(sheetName);
+        if (!sheet) return [];
+        const [headers, ...rows] = sheet.getDataRange().getValues();
+        return rows.map(row => getRowData(headers, row)).filter(record => !isBlankHierarchyRecord(record));
+    };
+    return buildProjectTree(readRecords("Epics"), readRecords("US/Tasks"), readRecords("Estimates"), getRoleRates(getTeamData(spreadsheet)));
+}
+
+/**
+ * Links the rows of the plan into an Epic → story → subtask tree.
+ * Stories and subtasks whose parent is not found are kept in unlinked.
+ * @param {Array<Object>} epicRecords - The Epics rows mapped to headers.
+ * @param {Array<Object>} itemRecords - The US/Tasks rows mapped to headers.
+ * @param {Array<Object>} estimateRecords - The Estimates rows mapped to headers.
+ * @param {Object} rates - Hourly rate per role, see getRoleRates.
+ * @returns {{epics: Array<Object>, unlinked: Array<Object>, totals: {hours: number, cost: number}}}
+ *          The tree. Every node has id, level, title, description, hours, cost, record, children
+ *          and, for subtasks, the estimates rows.
+ */
+function buildProjectTree(epicRecords, itemRecords, estimateRecords, rates) {
+    const rollups = computeEstimateRollups(estimateRecords, rates);
+    const groups = { epic: rollups.epics, story: rollups.stories, subtask: rollups.tasks };
+    const createNode = (level, record) => {
+        const id = getRecordIdentity(level === 'epic' ? "Epics" : "US/Tasks", record).id || '';
+        const totals = (id && groups[level][id]) || { hours: 0, cost: 0 };
+        return {
+            id: id,
+            level: level,
+            title: readExportField(level, record, CONFIG.HEADERS.TITLE),
+            description: readExportField(level, record, CONFIG.HEADERS.DESCRIPTION),
+            hours: totals.hours,
+            cost: totals.cost,
+            record: record,
+            children: []
+        };
+    };
+
+    const tree = { epics: [], unlinked: [], totals: { hours: 0, cost: 0 } };
+    const nodes = { epic: {}, story: {} };
+    epicRecords.forEach(record => {
+        const node = createNode('epic', record);
+        tree.epics.push(node);
+        if (node.id) nodes.epic[node.id] = node;
+    });
+    const items = itemRecords.map(record => ({ record: record, level: getHierarchyLevel("US/Tasks", record) }));
+    items.filter(item => item.level === 'story').forEach(item => {
+        const node = createNode('story', item.record);
+        const parent = nodes.epic[item.record[CONFIG.HEADERS.EPIC_ID]];
+        (parent ? parent.children : tree.unlinked).push(node);
+        if (node.id) nodes.story[node.id] = node;
+    });
+    items.filter(item => item.level === 'subtask').forEach(item => {
+        const node = createNode('subtask', item.record);
+        node.estimates = estimateRecords.filter(estimate => node.id && estimate[CONFIG.HEADERS.TASK_ID] === node.id);
+        const parent = nodes.story[item.record[CONFIG.HEADERS.STORY_ID]];
+        (parent ? parent.children : tree.unlinked).push(node);
+    });
+
+    rollups.rowCosts.forEach((cost, index) => {
+        tree.totals.hours += Number(estimateRecords[index][CONFIG.HEADERS.HOURS]) || 0;
+        tree.totals.cost += cost;
+    });
+    return tree;
+}
+
+/**
+ * Reads a field of a row by its header or one of the aliases the level's payload schema allows.
+ * @param {string} level - The hierarchy level: epic, story or subtask.
+ * @param {Object} record - The row mapped to headers.
+ * @param {string} name - The canonical header.
+ * @returns {*} The value, an empty string if the row has none.
+ */
+function readExportField(level, record, name) {
+    const schema = getOperationConfig(EXPORT_SCHEMA_OPERATIONS[level]).schema;
+    const key = findFieldKey(record, name, (schema && schema.fields[name]) || {});
+    return key === null ? '' : record[key] || '';
+}
+
+/**
+ * Walks every node of the tree, parents before their children, unlinked nodes last.
+ * @param {Object} tree - The project tree.
+ * @param {function(Object, ?Object, number)} callback - Called with the node, its parent and its depth.
+ */
+function walkProjectTree(tree, callback) {
+    const visit = (node, parent, depth) => {
+        callback(node, parent, depth);
+        node.children.forEach(child => visit(child, node, depth + 1));
+    };
+    tree.epics.forEach(node => visit(node, null, 0));
+    tree.unlinked.forEach(node => visit(node, null, 0));
+}
+
+/**
+ * Creates the Jira CSV of the tree.
+ * Issues are numbered in tree order and linked to their parent with "Parent Id".
+ * The hierarchy ID goes to the labels, the hours of leaf issues to the original estimate in seconds.
+ * @param {Object} tree - The project tree.
+ * @returns {string} The CSV text.
+ */
+function createJiraCsv(tree) {
+    const rows = [JIRA_CSV_HEADERS];
+    const issueIds = new Map();
+    walkProjectTree(tree, (node, parent) => {
+        issueIds.set(node, issueIds.size + 1);
+        const estimate = node.children.length === 0 && node.hours > 0 ? Math.round(node.hours * 3600) : '';
+        rows.push([
+            issueIds.get(node),
+            parent ? issueIds.get(parent) : '',
+            JIRA_ISSUE_TYPES[node.level],
+            node.title || node.id,
+            node.description,
+            node.id,
+            estimate
+        ]);
+    });
+    return toCsv(rows);
+}
+
+/**
+ * Formats rows as CSV, quoting values that contain commas, quotes or line breaks.
+ * @param {Array<Array>} rows - The rows.
+ * @returns {string} The CSV text.
+ */
+function toCsv(rows) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n');
+}
+
+/**
+ * Creates the Markdown project brief of the tree.
+ * @param {Object} tree - The project tree.
+ * @param {string} title - The project title.
+ * @returns {string} The Markdown text.
+ */
+function createMarkdownBrief(tree, title) {
+    const formatTotals = node => (node.hours > 0 ? ` (${node.hours} h, ${node.cost.toFixed(2)})` : '');
+    const lines = [`# ${title}`, '', `Total estimate: ${tree.totals.hours} h, ${tree.totals.cost.toFixed(2)}`];
+    const addNode = (node, depth) => {
+        const label = [node.id, node.title].filter(Boolean).join(' ');
+        if (node.level === 'subtask') {
+            const roles = (node.estimates || []).map(estimate => estimate[CONFIG.HEADERS.ROLE]).filter(Boolean);
+            lines.push(`- ${label}${formatTotals(node)}${roles.length > 0 ? ` - ${roles.join(', ')}` : ''}`);
+            return;
+        }
+        lines.push('', `${'#'.repeat(depth + 2)} ${label}${formatTotals(node)}`);
+        if (node.description) lines.push('', node.description);
+        if (node.children.some(child => child.level === 'subtask')) lines.push('');
+        node.children.forEach(child => addNode(child, depth + 1));
+    };
+    tree.epics.forEach(node => addNode(node, 0));
+    if (tree.unlinked.length > 0) {
+        lines.push('', '## Without parent');
+        tree.unlinked.forEach(node => addNode(node, 1));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates the JSON dump of the tree with export metadata.
+ * @param {Object} tree - The project tree.
+ * @param {Object} spreadsheet - The exported spreadsheet.
+ * @returns {Object} The dump.
+ */
+function createProjectDump(tree, spreadsheet) {
+    return {
+        gsheet_id: spreadsheet.getId(),
+        title: spreadsheet.getName(),
+        exported_at: new Date().toISOString(),
+        totals: tree.totals,
+        epics: tree.epics,
+        unlinked: tree.unlinked
+    };
+}
+
+// Export functions
+this.exportProjectPlan = exportProjectPlan;
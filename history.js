@@ -0,0 +1,224 @@
+/**
+ * History of the automated write-backs, with diff and undo.
+ *
+ * Before a groomed result is written into a sheet, the row it lands on is saved to
+ * the hidden "History" sheet. All rows written by one results request share a change ID
+ * and the modify_time of the request, see createEpicsJSON. An entry keeps the full row
+ * before the write (empty for appended rows) and the fields the write changed, so a
+ * row or a whole change can be compared with its previous version and reverted.
+ *
+ * @module history
+ */
+
+/**
+ * Name of the hidden sheet holding the history entries.
+ * @const {string}
+ */
+var HISTORY_SHEET = "History";
+
+/**
+ * Header row of the History sheet.
+ * @const {Array<string>}
+ */
+var HISTORY_HEADERS = ["Change ID", "Time", "Modify Time", "Sheet", "Row", "Key", "Record ID", "Before", "After", "Status"];
+
+/**
+ * History entry statuses.
+ * @const {Object}
+ */
+var HISTORY_STATUS = {
+    APPLIED: "Applied",
+    REVERTED: "Reverted",
+    UNREADABLE: "Unreadable"
+};
+
+/**
+ * Starts a change grouping the rows written for one results request.
+ * @param {Object} payload - The validated results request body.
+ * @returns {{id: string, modifyTime: string}} The change to pass to recordHistorySnapshot.
+ */
+function createHistoryChange(payload) {
+    return { id: Utilities.getUuid(), modifyTime: payload.modify_time || new Date().toISOString() };
+}
+
+/**
+ * Saves a row to the history before it is written.
+ * @param {{id: string, modifyTime: string}} change - The change the write belongs to.
+ * @param {Object} sheet - The sheet about to be written.
+ * @param {number} rowNumber - The row about to be written.
+ * @param {string} keyHeader - The header of the key column of the written record.
+ * @param {?Object} before - The full row before the write mapped to headers, null for an appended row.
+ * @param {Object} after - The fields about to be written, by header.
+ */
+function recordHistorySnapshot(change, sheet, rowNumber, keyHeader, before, after) {
+    const historySheet = getOrCreateSheet(sheet.getParent(), HISTORY_SHEET, HISTORY_HEADERS, true);
+    const recordId = after[keyHeader] || (before && before[keyHeader]) || '';
+    historySheet.appendRow([
+        change.id, new Date(), change.modifyTime, sheet.getName(), rowNumber, keyHeader, recordId,
+        before ? JSON.stringify(before) : '', JSON.stringify(after), HISTORY_STATUS.APPLIED
+    ]);
+}
+
+/**
+ * Reads every history entry.
+ * An entry whose saved versions cannot be parsed, e.g. a hand-edited or truncated cell,
+ * is marked "Unreadable" with the error as note on its status cell, so it is never
+ * compared or reverted while the other entries still are.
+ * @param {Object} spreadsheet - The spreadsheet holding the History sheet.
+ * @returns {Array<Object>} The entries in write order, each with the historyRow it is stored in.
+ */
+function readHistory(spreadsheet) {
+    const sheet = spreadsheet.getSheetByName(HISTORY_SHEET);
+    if (!sheet) return [];
+    return sheet.getDataRange().getValues().slice(1).map((row, index) => {
+        const entry = {
+            historyRow: index + 2,
+            changeId: row[0],
+            time: row[1],
+            modifyTime: row[2],
+            sheet: row[3],
+            row: row[4],
+            key: row[5],
+            recordId: row[6],
+            before: null,
+            after: {},
+            status: row[9]
+        };
+        try {
+            entry.before = row[7] ? JSON.parse(row[7]) : null;
+            entry.after = JSON.parse(row[8] || '{}');
+        } catch (error) {
+            if (entry.status !== HISTORY_STATUS.UNREADABLE) {
+                sheet.getRange(entry.historyRow, 10).setValue(HISTORY_STATUS.UNREADABLE).setNote(`Unreadable version: ${error.message}`);
+                Logger.log(`History entry ${entry.changeId} at row ${entry.historyRow} is unreadable: ${error.message}`);
+            }
+            entry.status = HISTORY_STATUS.UNREADABLE;
+        }
+        return entry;
+    });
+}
+
+/**
+ * Finds the latest applied entry of a row, matched on its record ID and otherwise on its row number.
+ * @param {Array<Object>} entries - The history entries, see readHistory.
+ * @param {string} sheetName - The sheet of the row.
+ * @param {number} rowNumber - The row number.
+ * @param {Object} record - The current row mapped to headers.
+ * @returns {Object|null} The entry, or null if the row has no applied change.
+ */
+function findLatestHistoryEntry(entries, sheetName, rowNumber, record) {
+    for (let index = entries.length - 1; index >= 0; index--) {
+        const entry = entries[index];
+        if (entry.status !== HISTORY_STATUS.APPLIED || entry.sheet !== sheetName) continue;
+        const matchesId = entry.recordId !== '' && String(record[entry.key]) === String(entry.recordId);
+        if (matchesId || (entry.recordId === '' && entry.row === rowNumber)) return entry;
+    }
+    return null;
+}
+
+/**
+ * Lists the fields whose value differs between two versions of a row.
+ * @param {Object} before - The previous version mapped to headers, empty for an appended row.
+ * @param {Object} after - The current version mapped to headers.
+ * @returns {Array<{field: string, before: *, after: *}>} The changed fields.
+ */
+function diffRecords(before, after) {
+    const fields = Object.keys(after).concat(Object.keys(before).filter(field => !(field in after)));
+    return fields
+        .filter(field => !isSameCellValue(before[field], after[field]))
+        .map(field => ({ field: field, before: before[field] === undefined ? '' : before[field], after: after[field] === undefined ? '' : after[field] }));
+}
+
+/**
+ * Compares two cell values. A date equals a string naming the same moment, e.g. its JSON string,
+ * or naming the same day as yyyy-MM-dd in the spreadsheet time zone, since the sheet turns written
+ * date strings into dates.
+ * @param {*} first - The first value.
+ * @param {*} second - The second value.
+ * @param {string} [timeZone] - The spreadsheet time zone, the script time zone when omitted.
+ * @returns {boolean} True if both values are the same.
+ */
+function isSameCellValue(first, second, timeZone) {
+    if (first instanceof Date !== second instanceof Date) {
+        const date = first instanceof Date ? first : second;
+        const text = String(first instanceof Date ? second : first).trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            return Utilities.formatDate(date, timeZone || Session.getScriptTimeZone(), 'yyyy-MM-dd') === text;
+        }
+        const parsed = new Date(text);
+        return text !== '' && !isNaN(parsed.getTime()) && parsed.getTime() === date.getTime();
+    }
+    const normalize = value => {
+        if (value === undefined || value === null) return '';
+        return value instanceof Date ? value.toISOString() : String(value);
+    };
+    return normalize(first) === normalize(second);
+}
+
+/**
+ * Restores the rows of history entries to their version before the write.
+ * Only the fields the write changed are restored, appended rows are cleared.
+ * A row edited again since the write is skipped, so later manual work is never lost.
+ * @param {Object} spreadsheet - The spreadsheet holding the rows.
+ * @param {Array<Object>} entries - The entries to revert, see readHistory.
+ * @returns {{reverted: number, skipped: Array<string>}} The count of restored rows and why others were skipped.
+ */
+function revertHistoryEntries(spreadsheet, entries) {
+    const summary = { reverted: 0, skipped: [] };
+    const historySheet = spreadsheet.getSheetByName(HISTORY_SHEET);
+    const timeZone = spreadsheet.getSpreadsheetTimeZone();
+    entries.slice().reverse().forEach(entry => {
+        const sheet = spreadsheet.getSheetByName(entry.sheet);
+        if (!sheet) {
+            summary.skipped.push(`${entry.sheet} row ${entry.row}: sheet not found`);
+            return;
+        }
+        const [headers, ...rows] = sheet.getDataRange().getValues();
+        const rowNumber = locateHistoryRow(headers, rows, entry);
+        const current = rowNumber ? getRowData(headers, rows[rowNumber - 2]) : null;
+        if (!current) {
+            summary.skipped.push(`${entry.sheet} ${entry.recordId || `row ${entry.row}`}: row not found`);
+            return;
+        }
+        if (Object.keys(entry.after).some(field => field in current && !isSameCellValue(current[field], entry.after[field], timeZone))) {
+            summary.skipped.push(`${entry.sheet} row ${rowNumber}: edited since the change`);
+            return;
+        }
+
+        if (entry.before) {
+            Object.keys(entry.after).forEach(field => {
+                const column = getColumnByHeader(headers, field);
+                if (column && field in entry.before) sheet.getRange(rowNumber, column).setValue(entry.before[field]);
+            });
+        } else {
+            sheet.getRange(rowNumber, 1, 1, headers.length).clearContent();
+        }
+        if (historySheet) historySheet.getRange(entry.historyRow, HISTORY_HEADERS.length).setValue(HISTORY_STATUS.REVERTED);
+        summary.reverted++;
+    });
+    debugLog(`History reverted: ${JSON.stringify(summary)}`, true);
+    return summary;
+}
+
+/**
+ * Finds the current row of a history entry.
+ * Rows may have moved since the write, so the record ID is looked up first.
+ * @param {Array} headers - The header row of the sheet.
+ * @param {Array<Array>} rows - The data rows of the sheet.
+ * @param {Object} entry - The history entry.
+ * @returns {number} The row number, 0 if the row no longer exists.
+ */
+function locateHistoryRow(headers, rows, entry) {
+    const keyIndex = headers.indexOf(entry.key);
+    if (entry.recordId === '' || keyIndex === -1) return entry.row - 2 < rows.length ? entry.row : 0;
+    const matches = rows
+        .map((row, index) => ({ rowNumber: index + 2, value: row[keyIndex] }))
+        .filter(item => String(item.value) === String(entry.recordId))
+        .map(item => item.rowNumber);
+    if (matches.indexOf(entry.row) !== -1) return entry.row;
+    return matches.length > 0 ? matches[0] : 0;
+}
+
+// Export functions
+this.readHistory = readHistory;
+this.revertHistoryEntries = revertHistoryEntries;
@@ -0,0 +1,64 @@
+/**
+ * Idempotency and concurrency guard for grooming requests.
+ *
+ * Every dispatched payload gets an idempotency key derived from the operation,
+ * the source sheet and row, and a hash of the row content. Keys are claimed under
+ * a document lock and remembered for CONFIG.IDEMPOTENCY_WINDOW_SECONDS, so the same
+ * request sent twice within the window (two users, a toggled trigger value) is
+ * rejected instead of creating duplicate stories.
+ *
+ * @module idempotency
+ */
+
+/**
+ * Builds the idempotency key of a payload.
+ * @param {string} operation - The operation name.
+ * @param {string} sheetName - The source sheet name.
+ * @param {number} row - The source row number.
+ * @param {*} content - The row content the request is based on.
+ * @returns {string} The idempotency key.
+ */
+function getIdempotencyKey(operation, sheetName, row, content) {
+    return `${operation}:${sheetName}:${row}:${computeContentHash(content)}`;
+}
+
+/**
+ * Claims an idempotency key, unless it was claimed within the window.
+ * @param {string} key - The idempotency key.
+ * @returns {boolean} True if the key was free and is now claimed, false for a duplicate.
+ */
+function claimIdempotencyKey(key) {
+    const lock = LockService.getDocumentLock();
+    lock.waitLock(10000);
+    try {
+        const cache = CacheService.getDocumentCache();
+        const cacheKey = getIdempotencyCacheKey(key);
+        if (cache.get(cacheKey)) return false;
+        cache.put(cacheKey, new Date().toISOString(), CONFIG.IDEMPOTENCY_WINDOW_SECONDS);
+        return true;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Releases an idempotency key so the same request can be sent again.
+ * @param {string} key - The idempotency key.
+ */
+function releaseIdempotencyKey(key) {
+    CacheService.getDocumentCache().remove(getIdempotencyCacheKey(key));
+}
+
+/**
+ * Maps an idempotency key to a cache key within the 250 character limit.
+ * @param {string} key - The idempotency key.
+ * @returns {string} The cache key.
+ */
+function getIdempotencyCacheKey(key) {
+    return `idempotency_${computeContentHash(key)}`;
+}
+
+// Export functions
+this.getIdempotencyKey = getIdempotencyKey;
+this.claimIdempotencyKey = claimIdempotencyKey;
+this.releaseIdempotencyKey = releaseIdempotencyKey;
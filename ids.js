@@ -0,0 +1,333 @@
+/**
+ * Stable hierarchy IDs of the Epics and US/Tasks rows.
+ *
+ * Row numbers change when rows are sorted or inserted, so every epic, story and
+ * subtask row gets a durable ID the first time one of its cells is edited:
+ * - epic: "EP-012" in the "Epic ID" column of Epics
+ * - story: "US-012-03" in the "Story ID" column of US/Tasks, under the epic in "Epic ID"
+ * - subtask: "ST-012-03-01" in the "Task ID" column of US/Tasks, under the story in "Story ID"
+ * A US/Tasks row is a subtask when its "Type" is "Subtask" or it already has a Task ID.
+ * Stories and subtasks also get the ID of their parent in "Parent ID" when the sheet has that column.
+ * A story or subtask only gets an ID once its parent ID is filled in.
+ *
+ * @module ids
+ */
+
+/**
+ * ID prefix of each hierarchy level.
+ * @const {Object}
+ */
+var ID_PREFIXES = {
+    epic: "EP",
+    story: "US",
+    subtask: "ST"
+};
+
+/**
+ * Sheets whose rows get hierarchy IDs.
+ * @const {Array<string>}
+ */
+var HIERARCHY_SHEETS = ["Epics", "US/Tasks"];
+
+/**
+ * Assigns the missing IDs of edited rows and writes them into the sheet.
+ * Only the edited rows are read. The whole sheet is read, under the document lock, only
+ * when one of them needs a new ID, so concurrent edits, web app requests and the job
+ * worker never hand out the same ID twice.
+ * Script writes do not fire onEdit, so assigning IDs never triggers an automation itself.
+ * @param {Object} sheet - The edited sheet, ignored unless it is one of HIERARCHY_SHEETS.
+ * @param {Array<number>} rowNumbers - The edited rows.
+ * @returns {Array<{index: number, values: Object}>} The assigned values per data row index.
+ */
+function ensureHierarchyIds(sheet, rowNumbers) {
+    try {
+        const sheetName = sheet.getName();
+        const dataRows = rowNumbers.filter(rowNumber => rowNumber >= 2 && rowNumber <= sheet.getLastRow());
+        if (HIERARCHY_SHEETS.indexOf(sheetName) === -1 || dataRows.length === 0) return [];
+        const headers = getSheetHeaders(sheet);
+        const firstRow = Math.min(...dataRows);
+        const edited = sheet.getRange(firstRow, 1, Math.max(...dataRows) - firstRow + 1, headers.length).getValues()
+            .map(row => getRowData(headers, row));
+        const editedIndexes = dataRows.map(rowNumber => rowNumber - firstRow);
+
+        let updates;
+        if (!editedIndexes.some(index => needsHierarchyId(sheetName, edited[index]))) {
+            updates = assignHierarchyIds(sheetName, edited, editedIndexes)
+                .map(update => ({ index: update.index + firstRow - 2, values: update.values }));
+            writeHierarchyUpdates(sheet, headers, updates);
+        } else {
+            updates = withDocumentLock(() => {
+                const records = sheet.getDataRange().getValues().slice(1).map(row => getRowData(headers, row));
+                const assigned = assignHierarchyIds(sheetName, records, dataRows.map(rowNumber => rowNumber - 2));
+                writeHierarchyUpdates(sheet, headers, assigned);
+                return assigned;
+            });
+        }
+        if (updates.length > 0) debugLog(`Assigned IDs to ${updates.length} row(s) of ${sheetName}`);
+        return updates;
+    } catch (error) {
+        Logger.log(`Error in ensureHierarchyIds: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Checks whether a row is due a new ID: it has content, no own ID and a valid parent ID.
+ * @param {string} sheetName - "Epics" or "US/Tasks".
+ * @param {Object} record - The row mapped to headers.
+ * @returns {boolean} True if an ID would be assigned to the row.
+ */
+function needsHierarchyId(sheetName, record) {
+    const level = getHierarchyLevel(sheetName, record);
+    if (!level || isBlankHierarchyRecord(record)) return false;
+    const idHeader = getHierarchyIdHeader(level);
+    return idHeader in record && !record[idHeader] && getHierarchyParentNumbers(level, record) !== null;
+}
+
+/**
+ * Writes the values computed by assignHierarchyIds into the sheet.
+ * @param {Object} sheet - The hierarchy sheet.
+ * @param {Array} headers - The header row of the sheet.
+ * @param {Array<{index: number, values: Object}>} updates - The new values per data row index.
+ */
+function writeHierarchyUpdates(sheet, headers, updates) {
+    updates.forEach(update => {
+        Object.entries(update.values).forEach(([header, value]) => {
+            sheet.getRange(update.index + 2, getColumnByHeader(headers, header)).setValue(value);
+        });
+    });
+}
+
+/**
+ * Computes the missing IDs and parent IDs of some rows of a hierarchy sheet.
+ * New IDs continue after the highest existing number under the same parent.
+ * The records are updated in place, so rows later in the list see the IDs just assigned.
+ * Only columns present in the records are filled.
+ * @param {string} sheetName - "Epics" or "US/Tasks".
+ * @param {Array<Object>} records - All data rows of the sheet mapped to headers.
+ * @param {Array<number>} indexes - The indexes of the records to complete.
+ * @returns {Array<{index: number, values: Object}>} The new values by header, per changed record.
+ */
+function assignHierarchyIds(sheetName, records, indexes) {
+    const headers = CONFIG.HEADERS;
+    const existingIds = records.reduce((ids, record) => {
+        [headers.EPIC_ID, headers.STORY_ID, headers.TASK_ID].forEach(header => { if (record[header]) ids.push(String(record[header])); });
+        return ids;
+    }, []);
+
+    return indexes.reduce((updates, index) => {
+        const record = records[index];
+        const level = getHierarchyLevel(sheetName, record);
+        if (!level || isBlankHierarchyRecord(record)) return updates;
+
+        const values = {};
+        const idHeader = getHierarchyIdHeader(level);
+        const parentNumbers = getHierarchyParentNumbers(level, record);
+        if (idHeader in record && !record[idHeader] && parentNumbers) {
+            values[idHeader] = getNextHierarchyId(ID_PREFIXES[level], parentNumbers, existingIds);
+            existingIds.push(values[idHeader]);
+        }
+        if (level === 'subtask' && headers.EPIC_ID in record && !record[headers.EPIC_ID]) {
+            const story = parseHierarchyId(record[headers.STORY_ID]);
+            if (story && story.prefix === ID_PREFIXES.story) values[headers.EPIC_ID] = formatHierarchyId(ID_PREFIXES.epic, story.numbers.slice(0, 1));
+        }
+        const parentId = getRecordIdentity(sheetName, record).parentId;
+        if (parentId && headers.PARENT_ID in record && record[headers.PARENT_ID] !== parentId) values[headers.PARENT_ID] = parentId;
+
+        if (Object.keys(values).length > 0) {
+            Object.assign(record, values);
+            updates.push({ index: index, values: values });
+        }
+        return updates;
+    }, []);
+}
+
+/**
+ * Determines the hierarchy level of a row.
+ * @param {string} sheetName - The name of the sheet holding the row.
+ * @param {Object} record - The row mapped to headers.
+ * @returns {string|null} 'epic', 'story', 'subtask', or null for other sheets.
+ */
+function getHierarchyLevel(sheetName, record) {
+    if (sheetName === "Epics") return 'epic';
+    if (sheetName !== "US/Tasks") return null;
+    const type = String(record[CONFIG.HEADERS.TYPE] || '').trim().toLowerCase();
+    return type === 'subtask' || record[CONFIG.HEADERS.TASK_ID] ? 'subtask' : 'story';
+}
+
+/**
+ * Retrieves the header of the column holding the own ID of a hierarchy level.
+ * @param {string} level - 'epic', 'story' or 'subtask'.
+ * @returns {string} The ID header.
+ */
+function getHierarchyIdHeader(level) {
+    return { epic: CONFIG.HEADERS.EPIC_ID, story: CONFIG.HEADERS.STORY_ID, subtask: CONFIG.HEADERS.TASK_ID }[level];
+}
+
+/**
+ * Retrieves the header of the column holding the parent ID of a hierarchy level.
+ * @param {string} level - 'epic', 'story' or 'subtask'.
+ * @returns {string|null} The parent ID header, null for epics.
+ */
+function getHierarchyParentHeader(level) {
+    return { epic: null, story: CONFIG.HEADERS.EPIC_ID, subtask: CONFIG.HEADERS.STORY_ID }[level];
+}
+
+/**
+ * Retrieves the numbers of the parent ID a new ID of a row is numbered under.
+ * @param {string} level - 'epic', 'story' or 'subtask'.
+ * @param {Object} record - The row mapped to headers.
+ * @returns {Array<number>|null} The parent numbers, empty for epics, null while the parent ID is missing or invalid.
+ */
+function getHierarchyParentNumbers(level, record) {
+    const parentHeader = getHierarchyParentHeader(level);
+    if (!parentHeader) return [];
+    const parent = parseHierarchyId(record[parentHeader]);
+    const parentPrefix = level === 'story' ? ID_PREFIXES.epic : ID_PREFIXES.story;
+    return parent && parent.prefix === parentPrefix ? parent.numbers : null;
+}
+
+/**
+ * Retrieves the own ID and parent ID of a row.
+ * @param {string} sheetName - The name of the sheet holding the row.
+ * @param {Object} record - The row mapped to headers.
+ * @returns {{id: ?string, parentId: ?string}} The IDs, null when not set.
+ */
+function getRecordIdentity(sheetName, record) {
+    const level = getHierarchyLevel(sheetName, record || {});
+    if (!level) return { id: null, parentId: null };
+    const parentHeader = getHierarchyParentHeader(level);
+    return {
+        id: record[getHierarchyIdHeader(level)] || null,
+        parentId: (parentHeader && record[parentHeader]) || null
+    };
+}
+
+/**
+ * Checks whether a row holds nothing but IDs, so blank rows do not consume IDs.
+ * @param {Object} record - The row mapped to headers.
+ * @returns {boolean} True if every other value is empty.
+ */
+function isBlankHierarchyRecord(record) {
+    const idHeaders = [CONFIG.HEADERS.EPIC_ID, CONFIG.HEADERS.STORY_ID, CONFIG.HEADERS.TASK_ID, CONFIG.HEADERS.PARENT_ID];
+    return Object.entries(record).every(([header, value]) => idHeaders.indexOf(header) !== -1 || value === '' || value === null || value === undefined);
+}
+
+/**
+ * Formats a hierarchy ID, the epic number padded to 3 digits and the others to 2.
+ * @param {string} prefix - The ID prefix, see ID_PREFIXES.
+ * @param {Array<number>} numbers - The numbers from the epic down.
+ * @returns {string} The ID, e.g. "US-012-03".
+ */
+function formatHierarchyId(prefix, numbers) {
+    return [prefix].concat(numbers.map((number, index) => String(number).padStart(index === 0 ? 3 : 2, '0'))).join('-');
+}
+
+/**
+ * Splits a hierarchy ID into its prefix and numbers.
+ * @param {*} id - The cell value.
+ * @returns {{prefix: string, numbers: Array<number>}|null} The parsed ID, or null if it is not a hierarchy ID.
+ */
+function parseHierarchyId(id) {
+    const match = /^([A-Z]+)-(\d+(?:-\d+)*)$/.exec(String(id || '').trim());
+    return match ? { prefix: match[1], numbers: match[2].split('-').map(Number) } : null;
+}
+
+/**
+ * Computes the next free ID under a parent.
+ * @param {string} prefix - The ID prefix of the new ID.
+ * @param {Array<number>} parentNumbers - The numbers of the parent ID, empty for epics.
+ * @param {Array<string>} existingIds - The IDs already in use.
+ * @returns {string} The next ID.
+ */
+function getNextHierarchyId(prefix, parentNumbers, existingIds) {
+    const depth = parentNumbers.length + 1;
+    const highest = existingIds
+        .map(parseHierarchyId)
+        .filter(parsed => parsed && parsed.prefix === prefix && parsed.numbers.length === depth &&
+            parentNumbers.every((number, index) => parsed.numbers[index] === number))
+        .reduce((max, parsed) => Math.max(max, parsed.numbers[depth - 1]), 0);
+    return formatHierarchyId(prefix, parentNumbers.concat([highest + 1]));
+}
+
+/**
+ * Finds duplicate, missing and orphaned IDs.
+ * A story is orphaned when its epic is not in Epics, a subtask when its story is not in US/Tasks.
+ * @param {Array<Object>} epics - The Epics data rows mapped to headers.
+ * @param {Array<Object>} items - The US/Tasks data rows mapped to headers.
+ * @returns {Array<{sheet: string, row: number, header: string, message: string}>} The issues found.
+ */
+function findHierarchyIssues(epics, items) {
+    const issues = [];
+    const rowsById = {};
+    const collect = (sheetName, records) => records.forEach((record, index) => {
+        if (isBlankHierarchyRecord(record)) return;
+        const level = getHierarchyLevel(sheetName, record);
+        const header = getHierarchyIdHeader(level);
+        const id = record[header];
+        if (!id) {
+            issues.push({ sheet: sheetName, row: index + 2, header: header, message: `Missing ${level} ID` });
+            return;
+        }
+        const key = `${level}:${id}`;
+        if (rowsById[key]) {
+            issues.push({ sheet: sheetName, row: index + 2, header: header, message: `Duplicate ID ${id}, also in row ${rowsById[key]}` });
+        } else {
+            rowsById[key] = index + 2;
+        }
+    });
+    collect("Epics", epics);
+    collect("US/Tasks", items);
+
+    items.forEach((record, index) => {
+        if (isBlankHierarchyRecord(record)) return;
+        const level = getHierarchyLevel("US/Tasks", record);
+        const parentLevel = level === 'story' ? 'epic' : 'story';
+        const header = getHierarchyParentHeader(level);
+        const parentId = record[header];
+        if (!parentId) {
+            issues.push({ sheet: "US/Tasks", row: index + 2, header: header, message: `Missing parent ${parentLevel} ID` });
+        } else if (!rowsById[`${parentLevel}:${parentId}`]) {
+            issues.push({ sheet: "US/Tasks", row: index + 2, header: header, message: `Orphaned ${level}: ${parentLevel} ${parentId} not found` });
+        }
+    });
+    return issues;
+}
+
+/**
+ * Checks the IDs of the Epics and US/Tasks sheets and flags every issue in a note on the ID cell.
+ * Notes of the ID columns are cleared first, so fixed issues disappear.
+ * @param {Object} spreadsheet - The spreadsheet to check.
+ * @returns {Array<Object>} The issues found, see findHierarchyIssues.
+ */
+function validateHierarchyIds(spreadsheet) {
+    const sheets = {};
+    const records = {};
+    HIERARCHY_SHEETS.forEach(sheetName => {
+        sheets[sheetName] = spreadsheet.getSheetByName(sheetName);
+        const [headers, ...rows] = sheets[sheetName] ? sheets[sheetName].getDataRange().getValues() : [[]];
+        records[sheetName] = rows.map(row => getRowData(headers, row));
+    });
+
+    const issues = findHierarchyIssues(records["Epics"], records["US/Tasks"]);
+    HIERARCHY_SHEETS.forEach(sheetName => {
+        const sheet = sheets[sheetName];
+        if (!sheet || sheet.getLastRow() < 2) return;
+        const headers = getSheetHeaders(sheet);
+        [CONFIG.HEADERS.EPIC_ID, CONFIG.HEADERS.STORY_ID, CONFIG.HEADERS.TASK_ID].forEach(header => {
+            const column = getColumnByHeader(headers, header);
+            if (column) sheet.getRange(2, column, sheet.getLastRow() - 1, 1).clearNote();
+        });
+        issues.filter(issue => issue.sheet === sheetName).forEach(issue => {
+            const column = getColumnByHeader(headers, issue.header);
+            if (column) sheet.getRange(issue.row, column).setNote(`ID error: ${issue.message}`);
+        });
+    });
+    if (issues.length > 0) debugLog(`Hierarchy IDs have ${issues.length} issue(s)`, true);
+    return issues;
+}
+
+// Export functions
+this.ensureHierarchyIds = ensureHierarchyIds;
+this.getRecordIdentity = getRecordIdentity;
+this.validateHierarchyIds = validateHierarchyIds;
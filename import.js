@@ -0,0 +1,313 @@
+/**
+ * Imports an existing backlog into the Epics and US/Tasks sheets.
+ *
+ * The source is a CSV or JSON file from Drive, or text pasted into the import dialog.
+ * A mapping profile turns every source record into an epic, story or subtask row:
+ * - mapping: source field → sheet header, fields named like the headers when omitted
+ * - typeField and types: source field and its values deciding the level, e.g. "Issue Type": {"Epic": "epic"};
+ *   a value mapped to "skip" is not imported. For a list field, e.g. Trello labels, the first known name counts
+ * - defaultLevel: level of records without a known type, "epic" when omitted
+ * - idField and parentField: source fields linking a record to its parent record
+ * - skip: source field → value, records with that value are not imported, e.g. {"closed": true}
+ * - dedupeHeader: header compared to find duplicates, "Title" when omitted
+ * Source fields and type values are matched case-insensitively.
+ * Built-in profiles are listed in IMPORT_PROFILES, saved profiles are kept in the
+ * IMPORT_PROFILES document property. Records whose dedupe value already exists under
+ * the same parent are skipped. Imported rows get their hierarchy IDs, see ids.js.
+ *
+ * @module import
+ */
+
+/**
+ * Built-in mapping profiles.
+ * @const {Object}
+ */
+var IMPORT_PROFILES = {
+    "Sheet headers": {
+        typeField: "Type",
+        types: { "Epic": "epic", "Story": "story", "Subtask": "subtask" }
+    },
+    "Jira CSV": {
+        mapping: { "Summary": "Title", "Description": "Description" },
+        typeField: "Issue Type",
+        types: { "Epic": "epic", "Story": "story", "Task": "story", "Bug": "story", "Sub-task": "subtask", "Subtask": "subtask" },
+        defaultLevel: "story",
+        idField: "Issue Id",
+        parentField: "Parent Id"
+    },
+    "Trello JSON": {
+        mapping: { "name": "Title", "desc": "Description" },
+        typeField: "labels",
+        types: { "Epic": "epic", "Story": "story", "Subtask": "subtask" },
+        defaultLevel: "story",
+        skip: { "closed": true }
+    }
+};
+
+/**
+ * Document property holding the saved mapping profiles as JSON.
+ * @const {string}
+ */
+var IMPORT_PROFILES_PROPERTY = "IMPORT_PROFILES";
+
+/**
+ * Retrieves the built-in and saved mapping profiles. Saved profiles override built-in ones of the same name.
+ * @returns {Object} The profiles by name.
+ */
+function getImportProfiles() {
+    let saved = {};
+    try {
+        saved = JSON.parse(PropertiesService.getDocumentProperties().getProperty(IMPORT_PROFILES_PROPERTY) || '{}');
+    } catch (error) {
+        Logger.log(`Error in getImportProfiles: ${error.message}`);
+    }
+    return Object.assign({}, IMPORT_PROFILES, saved);
+}
+
+/**
+ * Saves a mapping profile to the document properties of the spreadsheet.
+ * Called from the import dialog with google.script.run.
+ * @param {string} name - The profile name.
+ * @param {string} profileJson - The profile as JSON.
+ * @returns {Object} The profiles by name, including the saved one.
+ */
+function saveImportProfile(name, profileJson) {
+    if (!name || !String(name).trim()) throw new Error('The profile needs a name');
+    const profile = JSON.parse(profileJson);
+    const properties = PropertiesService.getDocumentProperties();
+    const saved = JSON.parse(properties.getProperty(IMPORT_PROFILES_PROPERTY) || '{}');
+    saved[String(name).trim()] = profile;
+    properties.setProperty(IMPORT_PROFILES_PROPERTY, JSON.stringify(saved));
+    return getImportProfiles();
+}
+
+/**
+ * Imports a backlog from the import dialog.
+ * Called from the dialog with google.script.run.
+ * @param {{fileId: string, text: string, profileJson: string, groom: boolean}} form - The dialog values.
+ *        fileId may be a Drive file ID or URL and is used when set, text otherwise.
+ * @returns {Object} The import summary, see importBacklog.
+ */
+function importBacklogFromDialog(form) {
+    const text = form.fileId ? readDriveFileText(form.fileId) : form.text;
+    if (!text || !String(text).trim()) throw new Error('Paste a CSV or JSON backlog, or enter a Drive file');
+    return importBacklog(SpreadsheetApp.getActiveSpreadsheet(), text, JSON.parse(form.profileJson), { groom: !!form.groom });
+}
+
+/**
+ * Reads the text of a Drive file.
+ * @param {string} fileIdOrUrl - The file ID, or a URL containing it.
+ * @returns {string} The file content.
+ */
+function readDriveFileText(fileIdOrUrl) {
+    const match = /[-\w]{25,}/.exec(String(fileIdOrUrl));
+    if (!match) throw new Error(`Not a Drive file ID or URL: ${fileIdOrUrl}`);
+    return DriveApp.getFileById(match[0]).getBlob().getDataAsString();
+}
+
+/**
+ * Imports backlog text into the Epics and US/Tasks sheets.
+ * @param {Object} spreadsheet - The spreadsheet to import into.
+ * @param {string} text - The CSV or JSON backlog.
+ * @param {Object} profile - The mapping profile.
+ * @param {{groom: boolean}} [options={}] - With groom set, imported epics are submitted for grooming.
+ * @returns {{epics: number, stories: number, subtasks: number, duplicates: number}} Counts of the imported and skipped rows.
+ */
+function importBacklog(spreadsheet, text, profile, options = {}) {
+    const epicsSheet = spreadsheet.getSheetByName("Epics");
+    const itemsSheet = spreadsheet.getSheetByName("US/Tasks");
+    if (!epicsSheet) throw new Error('Sheet not found: Epics');
+
+    const readSheet = sheet => {
+        const [headers, ...rows] = sheet ? sheet.getDataRange().getValues() : [[]];
+        return { headers: headers, records: rows.map(row => getRowData(headers, row)) };
+    };
+    const entries = mapImportRecords(parseImportSource(text), profile);
+    const trigger = options.groom ? getEpicsGroomTrigger() : null;
+
+    // Read, ID assignment and append share one lock, so concurrent edits, results or queue
+    // workers can neither hand out the same hierarchy IDs nor write to the same rows.
+    const { plan, epicsRow } = withDocumentLock(() => {
+        const epics = readSheet(epicsSheet);
+        const items = readSheet(itemsSheet);
+        const plan = planImport(entries, epics, items, profile.dedupeHeader || CONFIG.HEADERS.TITLE);
+        if (!itemsSheet && plan.items.length > 0) throw new Error('Sheet not found: US/Tasks');
+        if (trigger) plan.epics.forEach(record => { if (trigger.header in record) record[trigger.header] = trigger.value; });
+
+        const epicsRow = appendImportedRecords(epicsSheet, epics.headers, plan.epics);
+        if (itemsSheet) appendImportedRecords(itemsSheet, items.headers, plan.items);
+        return { plan: plan, epicsRow: epicsRow };
+    });
+
+    if (trigger && plan.epics.length > 0) {
+        const e = {
+            source: spreadsheet,
+            range: epicsSheet.getRange(epicsRow, 1, plan.epics.length, 1),
+            user: Session.getActiveUser()
+        };
+        runTrigger(e, trigger);
+    }
+
+    const summary = {
+        epics: plan.epics.length,
+        stories: plan.items.filter(record => getHierarchyLevel("US/Tasks", record) === 'story').length,
+        subtasks: plan.items.filter(record => getHierarchyLevel("US/Tasks", record) === 'subtask').length,
+        duplicates: plan.duplicates
+    };
+    debugLog(`Backlog imported: ${JSON.stringify(summary)}`, true);
+    return summary;
+}
+
+/**
+ * Parses backlog text into records.
+ * JSON may be an array of records or an object holding one under issues, cards, items or rows.
+ * Anything else is read as CSV with a header row.
+ * @param {string} text - The backlog text.
+ * @returns {Array<Object>} The source records.
+ */
+function parseImportSource(text) {
+    const trimmed = String(text).trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const json = JSON.parse(trimmed);
+        if (Array.isArray(json)) return json;
+        const key = ['issues', 'cards', 'items', 'rows'].find(name => Array.isArray(json[name]));
+        if (!key) throw new Error('JSON backlog must be an array or hold one under issues, cards, items or rows');
+        return json[key];
+    }
+    const [headers, ...rows] = Utilities.parseCsv(trimmed);
+    return rows.map(row => getRowData(headers.map(header => String(header).trim()), row));
+}
+
+/**
+ * Applies a mapping profile to the source records.
+ * Records without any mapped value, records of a skipped type and records
+ * matching the skip values of the profile are left out.
+ * @param {Array<Object>} sourceRecords - The parsed source records.
+ * @param {Object} profile - The mapping profile.
+ * @returns {Array<{level: string, sourceId: string, parentSourceId: string, values: Object}>}
+ *          The mapped records with their values by sheet header.
+ */
+function mapImportRecords(sourceRecords, profile) {
+    const asText = value => (value === undefined || value === null ? '' : String(value).trim());
+    const read = (source, field) => {
+        const key = field ? findFieldKey(source, field, {}) : null;
+        return key === null ? undefined : source[key];
+    };
+    const skip = profile.skip || {};
+    return sourceRecords
+        .filter(source => !Object.keys(skip).some(field => asText(read(source, field)).toLowerCase() === asText(skip[field]).toLowerCase()))
+        .map(source => {
+            const mapping = profile.mapping || Object.keys(source).reduce((identity, field) => {
+                identity[field] = field;
+                return identity;
+            }, {});
+            const values = {};
+            Object.entries(mapping).forEach(([field, header]) => {
+                const value = read(source, field);
+                if (asText(value) !== '') values[header] = value;
+            });
+            return {
+                level: getImportLevel(read(source, profile.typeField), profile.types || {}) || profile.defaultLevel || 'epic',
+                sourceId: asText(read(source, profile.idField)),
+                parentSourceId: asText(read(source, profile.parentField)),
+                values: values
+            };
+        })
+        .filter(entry => entry.level !== 'skip' && Object.keys(entry.values).length > 0);
+}
+
+/**
+ * Finds the level of a record from the value of its type field.
+ * @param {*} value - The type value, or a list of values or of objects with a name, e.g. Trello labels.
+ * @param {Object} types - The levels by type value of the profile.
+ * @returns {string|null} The level of the first known type, null if none is known.
+ */
+function getImportLevel(value, types) {
+    const names = (Array.isArray(value) ? value : [value])
+        .map(item => (item && typeof item === 'object' ? item.name : item))
+        .filter(name => name !== undefined && name !== null && String(name).trim() !== '');
+    for (const name of names) {
+        const key = findFieldKey(types, String(name).trim(), {});
+        if (key !== null) return types[key];
+    }
+    return null;
+}
+
+/**
+ * Plans the rows to append: links records to their imported or existing parent,
+ * skips duplicates and assigns hierarchy IDs.
+ * Epics are planned first, then stories, then subtasks, so parents get their IDs before their children.
+ * @param {Array<Object>} entries - The mapped records, see mapImportRecords.
+ * @param {{headers: Array, records: Array<Object>}} epics - The Epics sheet.
+ * @param {{headers: Array, records: Array<Object>}} items - The US/Tasks sheet.
+ * @param {string} dedupeHeader - The header compared to find duplicates.
+ * @returns {{epics: Array<Object>, items: Array<Object>, duplicates: number}} The new rows by sheet, mapped to headers.
+ */
+function planImport(entries, epics, items, dedupeHeader) {
+    const plan = { epics: [], items: [], duplicates: 0 };
+    const hierarchyIds = {};
+    const dedupeKeys = {};
+    const targets = { epic: epics, story: items, subtask: items };
+    const getDedupeKey = (level, record) => {
+        const parentHeader = getHierarchyParentHeader(level);
+        return [level, parentHeader ? record[parentHeader] : '', String(record[dedupeHeader] || '').trim().toLowerCase()].join('|');
+    };
+    epics.records.filter(record => !isBlankHierarchyRecord(record))
+        .forEach(record => { dedupeKeys[getDedupeKey('epic', record)] = record; });
+    items.records.filter(record => !isBlankHierarchyRecord(record))
+        .forEach(record => { dedupeKeys[getDedupeKey(getHierarchyLevel("US/Tasks", record), record)] = record; });
+
+    ['epic', 'story', 'subtask'].forEach(level => {
+        const target = targets[level];
+        const sheetName = level === 'epic' ? "Epics" : "US/Tasks";
+        entries.filter(entry => entry.level === level).forEach(entry => {
+            const record = target.headers.reduce((row, header) => {
+                row[header] = header in entry.values ? entry.values[header] : '';
+                return row;
+            }, {});
+            const parentHeader = getHierarchyParentHeader(level);
+            if (parentHeader && !record[parentHeader] && hierarchyIds[entry.parentSourceId]) {
+                record[parentHeader] = hierarchyIds[entry.parentSourceId];
+            }
+            if (level !== 'epic' && CONFIG.HEADERS.TYPE in record && !record[CONFIG.HEADERS.TYPE]) {
+                record[CONFIG.HEADERS.TYPE] = level === 'story' ? "Story" : "Subtask";
+            }
+
+            const key = getDedupeKey(level, record);
+            const duplicate = dedupeKeys[key];
+            if (duplicate) {
+                plan.duplicates++;
+                if (entry.sourceId) hierarchyIds[entry.sourceId] = getRecordIdentity(sheetName, duplicate).id;
+                return;
+            }
+            target.records.push(record);
+            assignHierarchyIds(sheetName, target.records, [target.records.length - 1]);
+            dedupeKeys[key] = record;
+            if (entry.sourceId) hierarchyIds[entry.sourceId] = getRecordIdentity(sheetName, record).id;
+            (level === 'epic' ? plan.epics : plan.items).push(record);
+        });
+    });
+    return plan;
+}
+
+/**
+ * Appends imported rows below the last row of a sheet.
+ * @param {Object} sheet - The target sheet.
+ * @param {Array} headers - The header row of the sheet.
+ * @param {Array<Object>} records - The rows mapped to headers.
+ * @returns {number} The number of the first appended row.
+ */
+function appendImportedRecords(sheet, headers, records) {
+    const firstRow = sheet.getLastRow() + 1;
+    if (records.length > 0) {
+        sheet.getRange(firstRow, 1, records.length, headers.length)
+            .setValues(records.map(record => headers.map(header => record[header])));
+    }
+    return firstRow;
+}
+
+// Export functions
+this.getImportProfiles = getImportProfiles;
+this.saveImportProfile = saveImportProfile;
+this.importBacklogFromDialog = importBacklogFromDialog;
+this.importBacklog = importBacklog;
@@ -0,0 +1,159 @@
+/**
+ * Direct LLM provider backend, an alternative to the make.com webhooks.
+ *
+ * Operations configured with backend "llm" are sent to an OpenAI-compatible
+ * chat completions endpoint. The prompts come from the "Prompts" sheet, one row
+ * per operation with the columns Operation, System Prompt, User Prompt and Result Type.
+ * Prompt templates reference the enveloped payload with placeholders such as
+ * {{context}}, {{eventData}} or {{eventData.Title}}. The model must answer with
+ * a JSON object {"rows": [...]}, which is written back like a results request
+ * of the given Result Type, see webApp.js.
+ *
+ * Settings: LLM_ENDPOINT, LLM_API_KEY and LLM_MODEL, see getSetting. Pointing
+ * LLM_ENDPOINT at a mock server allows testing without a real provider.
+ *
+ * @module llm
+ */
+
+/**
+ * Name of the sheet holding the prompt templates.
+ * @const {string}
+ */
+var PROMPTS_SHEET = "Prompts";
+
+/**
+ * Sends an operation to the LLM provider and writes the parsed rows back into the sheets.
+ * A batched payload is sent as one request per item, so every answer is written back
+ * for its own row and linked to its own record_id.
+ * @param {string} operation - The operation name.
+ * @param {Object} json - The JSON payload.
+ * @param {Object} [source={}] - The sheet and row that triggered the operation.
+ * @returns {Object} The delivery result in the postToWebhook shape, with the write-back results.
+ */
+function sendToLlm(operation, json, source = {}) {
+    const result = { ok: false, operation: operation, status: null, body: null, error: null, durationMs: 0, timedOut: false, results: [] };
+    const startTime = Date.now();
+    try {
+        debugLog(`Sending ${operation} data to LLM`);
+        const prompt = getPromptTemplate(operation);
+        const apiKey = getSetting('LLM_API_KEY');
+        if (!apiKey) throw new Error('LLM_API_KEY is not set');
+
+        const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+        const errors = [];
+        splitLlmEnvelope(buildWebhookEnvelope(operation, json, source)).forEach(envelope => {
+            try {
+                const response = UrlFetchApp.fetch(getSetting('LLM_ENDPOINT', CONFIG.LLM.ENDPOINT), {
+                    'method': 'post',
+                    'contentType': 'application/json',
+                    'headers': { 'Authorization': `Bearer ${apiKey}` },
+                    'payload': JSON.stringify({
+                        model: getSetting('LLM_MODEL', CONFIG.LLM.MODEL),
+                        response_format: { type: 'json_object' },
+                        messages: [
+                            { role: 'system', content: renderPromptTemplate(prompt.system, envelope) },
+                            { role: 'user', content: renderPromptTemplate(prompt.user, envelope) }
+                        ]
+                    }),
+                    'muteHttpExceptions': true
+                });
+                result.status = response.getResponseCode();
+                result.body = response.getContentText();
+                debugLog(`LLM response: ${result.status} in ${Date.now() - startTime} ms`, true); // Always log the response code
+                if (result.status < 200 || result.status >= 300) {
+                    throw new Error(`LLM request failed with status ${result.status}`);
+                }
+
+                const resultsPayload = {
+                    gsheet_id: spreadsheet.getId(),
+                    sheet_name_id: envelope.source.sheet,
+                    row_id: envelope.source.row || undefined,
+                    type: prompt.resultType,
+                    parent_id: envelope.record_id || undefined,
+                    rows: parseLlmRows(result.body)
+                };
+                const invalid = validateResultsPayload(resultsPayload, spreadsheet.getId());
+                if (invalid.length > 0) throw new Error(`Invalid LLM result: ${invalid.join('; ')}`);
+                result.results = result.results.concat(applyResults(spreadsheet, resultsPayload));
+            } catch (error) {
+                errors.push(envelope.source.row ? `row ${envelope.source.row}: ${error.message}` : error.message);
+            }
+        });
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        result.ok = true;
+    } catch (error) {
+        result.error = error.message;
+        Logger.log(`Error in sendToLlm (${operation}): ${error.message}`);
+    }
+    result.durationMs = Date.now() - startTime;
+    return result;
+}
+
+/**
+ * Splits a batched envelope into one envelope per item.
+ * Each envelope takes the row_id, record_id, eventData and other fields of its item,
+ * and its source row is the row of the item.
+ * @param {Object} envelope - The enveloped payload, see buildWebhookEnvelope.
+ * @returns {Array<Object>} The envelopes to send, the envelope itself if it is not batched.
+ */
+function splitLlmEnvelope(envelope) {
+    if (!Array.isArray(envelope.items)) return [envelope];
+    return envelope.items.map(item => {
+        const single = Object.assign({}, envelope, item, {
+            source: Object.assign({}, envelope.source, { row: item.row_id || null })
+        });
+        delete single.items;
+        return single;
+    });
+}
+
+/**
+ * Retrieves the prompt templates of an operation from the Prompts sheet.
+ * @param {string} operation - The operation name.
+ * @returns {{system: string, user: string, resultType: string}} The prompt templates and result type.
+ * @throws {Error} If the sheet or the operation row is missing.
+ */
+function getPromptTemplate(operation) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PROMPTS_SHEET);
+    if (!sheet) throw new Error(`Sheet not found: ${PROMPTS_SHEET}`);
+    const row = findRowDataByHeaderValue(sheet, 'Operation', operation);
+    if (!row) throw new Error(`No prompt configured for operation ${operation}`);
+    return { system: row['System Prompt'] || '', user: row['User Prompt'] || '', resultType: row['Result Type'] };
+}
+
+/**
+ * Replaces {{path}} placeholders with values from the data.
+ * Objects and arrays are inserted as JSON, missing values as an empty string.
+ * @param {string} template - The prompt template.
+ * @param {Object} data - The values, e.g. the enveloped payload.
+ * @returns {string} The rendered prompt.
+ */
+function renderPromptTemplate(template, data) {
+    return String(template).replace(/\{\{\s*([\w.\s]+?)\s*\}\}/g, (match, path) => {
+        const value = path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), data);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    });
+}
+
+/**
+ * Extracts the result rows from a chat completions response.
+ * @param {string} body - The raw response body.
+ * @returns {Array<Object>} The rows of the {"rows": [...]} answer.
+ * @throws {Error} If the answer is not JSON or has no rows array.
+ */
+function parseLlmRows(body) {
+    const response = JSON.parse(body);
+    const content = response.choices && response.choices[0] && response.choices[0].message
+        ? response.choices[0].message.content
+        : null;
+    if (!content) throw new Error('LLM response has no message content');
+    // Some models wrap JSON in a markdown code fence despite the JSON response format
+    const answer = JSON.parse(String(content).replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    if (!Array.isArray(answer.rows)) throw new Error('LLM answer has no rows array');
+    return answer.rows;
+}
+
+// Export functions
+this.sendToLlm = sendToLlm;
+this.renderPromptTemplate = renderPromptTemplate;
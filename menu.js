@@ -0,0 +1,406 @@
+/**
+ * Custom "AI PM" menu of the spreadsheet and the payload preview sidebar.
+ * @module menu
+ */
+
+/**
+ * Adds the AI PM menu when the spreadsheet is opened.
+ * @param {Object} e - The event object from the open trigger.
+ */
+function onOpen(e) {
+    try {
+        SpreadsheetApp.getUi()
+            .createMenu('AI PM')
+            .addItem('Groom selected epics', 'menuGroomSelectedEpics')
+            .addItem('Show payload', 'showPayloadSidebar')
+            .addItem('Toggle dry-run mode', 'menuToggleDryRun')
+            .addItem('Compare with previous', 'menuCompareWithPrevious')
+            .addItem('Revert last AI change', 'menuRevertLastChange')
+            .addSeparator()
+            .addItem('Refresh context', 'menuRefreshContext')
+            .addItem('Validate IDs', 'menuValidateIds')
+            .addItem('Export project plan', 'menuExportProjectPlan')
+            .addItem('Import backlog', 'showImportDialog')
+            .addItem('Plan sprints', 'menuPlanSprints')
+            .addItem('Build timeline', 'menuBuildTimeline')
+            .addSeparator()
+            .addItem('Retry failed jobs', 'menuRetryFailedJobs')
+            .addItem('Show outbox', 'showOutbox')
+            .addItem('Retry outbox now', 'menuProcessOutbox')
+            .addItem('Replay dead letters', 'menuReplayDeadLetters')
+            .addToUi();
+    } catch (error) {
+        Logger.log(`Error in onOpen: ${error.message}`);
+    }
+}
+
+/**
+ * Builds an event object for the current selection, shaped like the edit event the handlers expect.
+ * @returns {Object} The event with source, range and user.
+ */
+function createSelectionEvent() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    return { source: spreadsheet, range: spreadsheet.getActiveRange(), user: Session.getActiveUser() };
+}
+
+/**
+ * Retrieves the Epics grooming trigger of the registry.
+ * @returns {Object} The CONFIG.TRIGGERS entry handled by handleEpicsEdit.
+ * @throws {Error} If the registry has no such entry.
+ */
+function getEpicsGroomTrigger() {
+    const trigger = CONFIG.TRIGGERS.find(entry => entry.sheet === "Epics" && entry.handler === 'handleEpicsEdit' && entry.operation);
+    if (!trigger) throw new Error('No Epics grooming trigger registered');
+    return trigger;
+}
+
+/**
+ * Menu action grooming every selected Epics row, whatever its action value.
+ */
+function menuGroomSelectedEpics() {
+    const ui = SpreadsheetApp.getUi();
+    try {
+        const e = createSelectionEvent();
+        const sheet = e.range.getSheet();
+        if (sheet.getName() !== "Epics") {
+            ui.alert('Select one or more rows in the Epics sheet first.');
+            return;
+        }
+        const firstRow = Math.max(e.range.getRow(), 2);
+        const lastRow = e.range.getLastRow();
+        if (lastRow < firstRow) {
+            ui.alert('The selection contains no epic rows.');
+            return;
+        }
+        e.range = sheet.getRange(firstRow, e.range.getColumn(), lastRow - firstRow + 1, 1);
+        const rowNumbers = Array.from({ length: lastRow - firstRow + 1 }, (_, index) => firstRow + index);
+        const trigger = getEpicsGroomTrigger();
+        setActionStatus(sheet, rowNumbers, ACTION_STATUS.QUEUED, getQueuedNote(trigger));
+        runTrigger(e, trigger);
+        ui.alert(`${rowNumbers.length} epic(s) submitted for grooming. The Action column shows their status.`);
+    } catch (error) {
+        Logger.log(`Error in menuGroomSelectedEpics: ${error.message}`);
+        ui.alert(`Grooming failed: ${error.message}`);
+    }
+}
+
+/**
+ * Menu action opening the payload preview sidebar.
+ */
+function showPayloadSidebar() {
+    const html = HtmlService.createHtmlOutputFromFile('sidebar').setTitle('AI PM payload preview');
+    SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Builds the payload the selected Epics rows would send, for the sidebar.
+ * Called from the sidebar with google.script.run.
+ * @returns {{operation: string, source: Object, json: Object, errors: Array<string>, dryRun: boolean}} The preview.
+ */
+function getPayloadPreview() {
+    const e = createSelectionEvent();
+    const sheet = e.range.getSheet();
+    if (sheet.getName() !== "Epics") throw new Error('Select one or more rows in the Epics sheet first.');
+
+    const trigger = getEpicsGroomTrigger();
+    const headers = getSheetHeaders(sheet);
+    const firstRow = Math.max(e.range.getRow(), 2);
+    const values = sheet.getRange(firstRow, 1, Math.max(e.range.getLastRow() - firstRow + 1, 1), headers.length).getValues();
+    const rows = values.map((row, index) => ({ rowId: firstRow + index, data: getRowData(headers, row) }));
+    const contextData = getContextData(e.source);
+
+    let json;
+    if (rows.length === 1) {
+        json = createEpicsJSON(rows[0].data, contextData, e);
+        json.row_id = rows[0].rowId;
+    } else {
+        json = createEpicsBatchJSON(rows, contextData, e);
+    }
+    normalizePayload(trigger.operation, json);
+    applyContextBudget(trigger.operation, json);
+    const source = { sheet: sheet.getName(), row: firstRow };
+    const envelope = buildWebhookEnvelope(trigger.operation, json, source);
+    return {
+        operation: trigger.operation,
+        source: source,
+        json: envelope,
+        errors: validateDispatch(trigger.operation, envelope),
+        dryRun: isDryRunEnabled()
+    };
+}
+
+/**
+ * Sends a payload confirmed, and possibly edited, in the sidebar.
+ * Called from the sidebar with google.script.run.
+ * @param {string} operation - The operation name.
+ * @param {string} jsonText - The payload as edited in the sidebar.
+ * @param {Object} source - The sheet and row the payload was built from.
+ * @returns {Object} The delivery result.
+ */
+function sendPayloadFromSidebar(operation, jsonText, source) {
+    const json = JSON.parse(jsonText);
+    const result = dispatchOperation(operation, json, source);
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(source.sheet);
+    const rows = json.items ? json.items.map(item => item.row_id) : [json.row_id || source.row];
+    if (sheet) writeRowStatuses(sheet, rows.map(row => ({ row_id: row, status: getDeliveryStatus(result), error: result.error })));
+    return { ok: result.ok, dryRun: !!result.dryRun, status: result.status, error: result.error };
+}
+
+/**
+ * Menu action switching dry-run mode of this spreadsheet on or off.
+ * Stored in the DRY_RUN document property, see getSetting.
+ */
+function menuToggleDryRun() {
+    const enabled = !isDryRunEnabled();
+    PropertiesService.getDocumentProperties().setProperty('DRY_RUN', String(enabled));
+    SpreadsheetApp.getUi().alert(enabled
+        ? 'Dry-run mode is on: payloads are built and validated but not sent.'
+        : 'Dry-run mode is off: payloads are sent.');
+}
+
+/**
+ * Menu action showing the field-level differences between the selected row
+ * and its version before the last AI change.
+ */
+function menuCompareWithPrevious() {
+    const ui = SpreadsheetApp.getUi();
+    try {
+        const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+        const selection = getSelectedHistoryEntry(spreadsheet, readHistory(spreadsheet));
+        if (!selection.entry) {
+            ui.alert('The selected row has no AI change to compare with.');
+            return;
+        }
+        const diffs = diffRecords(selection.entry.before || {}, selection.record);
+        const lines = diffs.slice(0, 20).map(diff => `${diff.field}: "${diff.before}" → "${diff.after}"`);
+        if (diffs.length > lines.length) lines.push(`… and ${diffs.length - lines.length} more field(s)`);
+        ui.alert(
+            `Changes since ${selection.entry.modifyTime}`,
+            diffs.length === 0 ? 'The row is unchanged.' : lines.join('\n'),
+            ui.ButtonSet.OK
+        );
+    } catch (error) {
+        Logger.log(`Error in menuCompareWithPrevious: ${error.message}`);
+        ui.alert(`Compare failed: ${error.message}`);
+    }
+}
+
+/**
+ * Menu action reverting the last AI change, of the selected row or of the whole batch
+ * it was written with. Without a selected changed row, the latest change is reverted.
+ */
+function menuRevertLastChange() {
+    const ui = SpreadsheetApp.getUi();
+    try {
+        const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+        const entries = readHistory(spreadsheet);
+        const selected = getSelectedHistoryEntry(spreadsheet, entries).entry;
+        const latest = selected || entries.slice().reverse().find(entry => entry.status === HISTORY_STATUS.APPLIED);
+        if (!latest) {
+            ui.alert('There is no AI change to revert.');
+            return;
+        }
+
+        const batch = entries.filter(entry => entry.changeId === latest.changeId && entry.status === HISTORY_STATUS.APPLIED);
+        let toRevert = batch;
+        if (selected && batch.length > 1) {
+            const answer = ui.alert('Revert last AI change',
+                `Revert only ${selected.sheet} row ${selected.row} (Yes) or all ${batch.length} rows of the change (No)?`,
+                ui.ButtonSet.YES_NO_CANCEL);
+            if (answer === ui.Button.CANCEL || answer === ui.Button.CLOSE) return;
+            toRevert = answer === ui.Button.YES ? [selected] : batch;
+        } else if (ui.alert('Revert last AI change', `Revert ${batch.length} row(s) changed at ${latest.modifyTime}?`,
+            ui.ButtonSet.OK_CANCEL) !== ui.Button.OK) {
+            return;
+        }
+
+        const summary = revertHistoryEntries(spreadsheet, toRevert);
+        ui.alert(`Reverted: ${summary.reverted}` +
+            (summary.skipped.length > 0 ? `\nSkipped:\n${summary.skipped.join('\n')}` : ''));
+    } catch (error) {
+        Logger.log(`Error in menuRevertLastChange: ${error.message}`);
+        ui.alert(`Revert failed: ${error.message}`);
+    }
+}
+
+/**
+ * Finds the latest applied history entry of the selected row.
+ * @param {Object} spreadsheet - The active spreadsheet.
+ * @param {Array<Object>} entries - The history entries, see readHistory.
+ * @returns {{entry: ?Object, record: ?Object}} The entry and the current row mapped to headers.
+ */
+function getSelectedHistoryEntry(spreadsheet, entries) {
+    const range = spreadsheet.getActiveRange();
+    const sheet = range.getSheet();
+    if (range.getRow() < 2) return { entry: null, record: null };
+    const headers = getSheetHeaders(sheet);
+    const record = getRowData(headers, sheet.getRange(range.getRow(), 1, 1, headers.length).getValues()[0]);
+    return { entry: findLatestHistoryEntry(entries, sheet.getName(), range.getRow(), record), record: record };
+}
+
+/**
+ * Menu action rebuilding the cached context from the sheet.
+ */
+function menuRefreshContext() {
+    const context = refreshContext();
+    SpreadsheetApp.getUi().alert(context ? 'Context refreshed.' : 'Context could not be refreshed, see the execution log.');
+}
+
+/**
+ * Menu action flagging duplicate, missing and orphaned hierarchy IDs.
+ */
+function menuValidateIds() {
+    const issues = validateHierarchyIds(SpreadsheetApp.getActiveSpreadsheet());
+    SpreadsheetApp.getUi().alert(issues.length === 0
+        ? 'All epic, story and subtask IDs are valid.'
+        : `${issues.length} ID issue(s) found, see the notes on the ID cells:\n` +
+            issues.slice(0, 10).map(issue => `${issue.sheet} row ${issue.row}: ${issue.message}`).join('\n'));
+}
+
+/**
+ * Menu action exporting the project plan to Drive and offering the files for download.
+ */
+function menuExportProjectPlan() {
+    const ui = SpreadsheetApp.getUi();
+    try {
+        const files = exportProjectPlan(SpreadsheetApp.getActiveSpreadsheet());
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const links = files.map(file =>
+            `<li>${escape(file.name)}: <a href="${escape(file.downloadUrl)}" target="_blank">download</a> | ` +
+            `<a href="${escape(file.url)}" target="_blank">open in Drive</a></li>`).join('');
+        const html = HtmlService.createHtmlOutput(
+            `<p style="font-family: sans-serif">Saved next to the spreadsheet in Drive:</p><ul style="font-family: sans-serif">${links}</ul>`
+        ).setWidth(480).setHeight(200);
+        ui.showModalDialog(html, 'Project plan exported');
+    } catch (error) {
+        Logger.log(`Error in menuExportProjectPlan: ${error.message}`);
+        ui.alert(`Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Menu action opening the backlog import dialog, see import.js.
+ */
+function showImportDialog() {
+    const html = HtmlService.createHtmlOutputFromFile('import').setWidth(520).setHeight(620);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Import backlog');
+}
+
+/**
+ * Menu action asking for the start date and length of the sprints and planning them.
+ */
+function menuPlanSprints() {
+    const ui = SpreadsheetApp.getUi();
+    try {
+        const startDate = promptStartDate(ui, 'Plan sprints', 'Start date of the first sprint');
+        if (!startDate) return;
+
+        const lengthResponse = ui.prompt('Plan sprints', `Sprint length in weeks, empty for ${CONFIG.SPRINTS.LENGTH_WEEKS}:`, ui.ButtonSet.OK_CANCEL);
+        if (lengthResponse.getSelectedButton() !== ui.Button.OK) return;
+        const weeks = Number(lengthResponse.getResponseText().trim() || CONFIG.SPRINTS.LENGTH_WEEKS);
+        if (!(weeks > 0)) throw new Error(`Not a number of weeks: ${lengthResponse.getResponseText()}`);
+
+        const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+        const plan = planSprintsForSpreadsheet(spreadsheet, startDate, weeks);
+        const overAllocated = plan.assignments.filter(item => item.status === SPRINT_STATUS.OVER_ALLOCATED).length;
+        spreadsheet.getSheetByName(SPRINTS_SHEET).activate();
+        ui.alert(`Planned: ${plan.assignments.length}\nOver-allocated: ${overAllocated}\nUnplanned: ${plan.unplanned.length}`);
+    } catch (error) {
+        Logger.log(`Error in menuPlanSprints: ${error.message}`);
+        ui.alert(`Sprint planning failed: ${error.message}`);
+    }
+}
+
+/**
+ * Menu action asking for the start date of the project and building the timeline.
+ * The start date is saved to the TIMELINE_START setting, so the timeline is
+ * recomputed whenever estimates or dependencies change afterwards.
+ */
+function menuBuildTimeline() {
+    const ui = SpreadsheetApp.getUi();
+    try {
+        const startDate = promptStartDate(ui, 'Build timeline', 'Start date of the project');
+        if (!startDate) return;
+        const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+        const schedule = buildTimeline(spreadsheet, startDate);
+        PropertiesService.getDocumentProperties().setProperty(TIMELINE_START_SETTING,
+            Utilities.formatDate(startDate, Session.getScriptTimeZone(), 'yyyy-MM-dd'));
+        spreadsheet.getSheetByName(TIMELINE_SHEET).activate();
+        const delivery = Utilities.formatDate(schedule.finishDate, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+        ui.alert(`Delivery: ${delivery} (${schedule.days} working day(s))\nCritical path: ${schedule.criticalPath.join(' > ') || 'none'}`);
+    } catch (error) {
+        Logger.log(`Error in menuBuildTimeline: ${error.message}`);
+        ui.alert(`Timeline failed: ${error.message}`);
+    }
+}
+
+/**
+ * Asks for a yyyy-mm-dd start date, next Monday when left empty.
+ * @param {Object} ui - The spreadsheet UI.
+ * @param {string} title - The prompt title.
+ * @param {string} label - What the date is the start of.
+ * @returns {Date|null} The date, or null if the prompt was cancelled.
+ * @throws {Error} If the answer is not a date.
+ */
+function promptStartDate(ui, title, label) {
+    const nextMonday = new Date();
+    nextMonday.setDate(nextMonday.getDate() + ((8 - nextMonday.getDay()) % 7 || 7));
+    const defaultStart = Utilities.formatDate(nextMonday, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    const response = ui.prompt(title, `${label} (yyyy-mm-dd), empty for ${defaultStart}:`, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return null;
+    const text = response.getResponseText().trim() || defaultStart;
+    const date = parseTimelineDate(text);
+    if (!date) throw new Error(`Not a yyyy-mm-dd date: ${text}`);
+    return date;
+}
+
+/**
+ * Menu action moving the failed jobs back to the queue and running them.
+ */
+function menuRetryFailedJobs() {
+    const summary = retryFailedJobs();
+    SpreadsheetApp.getUi().alert(`Done: ${summary.done}\nFailed: ${summary.failed}\nStill queued: ${summary.remaining}`);
+}
+
+/**
+ * Shows the hidden Outbox sheet so failed deliveries can be inspected.
+ */
+function showOutbox() {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(OUTBOX_SHEET);
+    if (!sheet) {
+        SpreadsheetApp.getUi().alert('The outbox is empty.');
+        return;
+    }
+    sheet.showSheet();
+    sheet.activate();
+}
+
+/**
+ * Menu action retrying the pending outbox entries.
+ */
+function menuProcessOutbox() {
+    alertOutboxSummary(processOutbox());
+}
+
+/**
+ * Menu action replaying the dead letter outbox entries.
+ */
+function menuReplayDeadLetters() {
+    alertOutboxSummary(replayDeadLetters());
+}
+
+/**
+ * Shows the outcome of an outbox run to the user.
+ * @param {{delivered: number, failed: number, deadLetter: number, remaining: number}} summary - Counts of the processed and left over entries.
+ */
+function alertOutboxSummary(summary) {
+    SpreadsheetApp.getUi().alert(
+        `Delivered: ${summary.delivered}\nFailed, will retry: ${summary.failed}\nDead letter: ${summary.deadLetter}` +
+        (summary.remaining > 0 ? `\nLeft for the next run: ${summary.remaining}` : '')
+    );
+}
+
+// Export functions
+this.onOpen = onOpen;
+this.getPayloadPreview = getPayloadPreview;
+this.sendPayloadFromSidebar = sendPayloadFromSidebar;
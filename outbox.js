@@ -0,0 +1,230 @@
+/**
+ * Persistent outbox for failed webhook deliveries.
+ *
+ * Failed payloads are stored in a hidden "Outbox" sheet. A time-driven trigger
+ * retries them with exponential backoff until CONFIG.OUTBOX.MAX_ATTEMPTS is reached,
+ * after which the entry is marked as dead letter and waits for a manual replay.
+ * Payloads larger than a cell are split across the columns after "Payload".
+ *
+ * @module outbox
+ */
+
+/**
+ * Name of the hidden sheet holding the outbox entries.
+ * @const {string}
+ */
+var OUTBOX_SHEET = "Outbox";
+
+/**
+ * Header row of the Outbox sheet.
+ * @const {Array<string>}
+ */
+var OUTBOX_HEADERS = ["ID", "Operation", "Status", "Attempts", "Next Attempt", "Last Error", "Created", "Payload"];
+
+/**
+ * Maximum characters per payload cell, below the 50,000 characters a cell holds.
+ * @const {number}
+ */
+var OUTBOX_CELL_CHARS = 45000;
+
+/**
+ * Outbox entry statuses.
+ * @const {Object}
+ */
+var OUTBOX_STATUS = {
+    PENDING: "Pending",
+    DELIVERED: "Delivered",
+    DEAD_LETTER: "Dead Letter"
+};
+
+/**
+ * Saves a failed delivery to the outbox.
+ * @param {string} operation - The operation name.
+ * @param {Object} envelope - The enveloped payload that failed.
+ * @param {string} error - The error of the first attempt.
+ * @returns {string|null} The outbox entry ID, or null if it could not be saved.
+ */
+function addToOutbox(operation, envelope, error) {
+    try {
+        const sheet = getOrCreateSheet(SpreadsheetApp.getActiveSpreadsheet(), OUTBOX_SHEET, OUTBOX_HEADERS, true);
+        const id = Utilities.getUuid();
+        const now = new Date();
+        const retry = getOutboxRetryState(1, now);
+        const chunks = splitOutboxPayload(JSON.stringify(envelope));
+        const values = [id, operation, retry.status, 1, retry.nextAttempt, error, now].concat(chunks);
+
+        // Payload cells are plain text, so chunks starting with "=" or digits are stored as written
+        const lock = LockService.getDocumentLock();
+        lock.waitLock(10000);
+        try {
+            if (sheet.getMaxColumns() < values.length) sheet.insertColumnsAfter(sheet.getMaxColumns(), values.length - sheet.getMaxColumns());
+            const rowNumber = sheet.getLastRow() + 1;
+            sheet.getRange(rowNumber, OUTBOX_HEADERS.length, 1, chunks.length).setNumberFormat('@');
+            sheet.getRange(rowNumber, 1, 1, values.length).setValues([values]);
+        } finally {
+            lock.releaseLock();
+        }
+        Logger.log(`Delivery of ${operation} saved to the outbox as ${id}`);
+        return id;
+    } catch (err) {
+        Logger.log(`Error in addToOutbox: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Splits a serialized payload into cell sized chunks.
+ * @param {string} text - The payload JSON.
+ * @returns {Array<string>} The chunks, at least one.
+ */
+function splitOutboxPayload(text) {
+    const chunks = [];
+    for (let index = 0; index < text.length || chunks.length === 0; index += OUTBOX_CELL_CHARS) {
+        chunks.push(text.slice(index, index + OUTBOX_CELL_CHARS));
+    }
+    return chunks;
+}
+
+/**
+ * Reads the payload of an outbox row, joining the chunks after the "Payload" column.
+ * @param {Array} row - The outbox row values.
+ * @returns {Object} The envelope.
+ * @throws {Error} If the payload is not valid JSON.
+ */
+function readOutboxPayload(row) {
+    return JSON.parse(row.slice(OUTBOX_HEADERS.length - 1).join(''));
+}
+
+/**
+ * Computes the state of an entry after a failed attempt.
+ * @param {number} attempts - The number of attempts made so far.
+ * @param {Date} now - The time of the last attempt.
+ * @returns {{status: string, nextAttempt: ?Date}} Pending with the next attempt time, or dead letter.
+ */
+function getOutboxRetryState(attempts, now) {
+    if (attempts >= CONFIG.OUTBOX.MAX_ATTEMPTS) {
+        return { status: OUTBOX_STATUS.DEAD_LETTER, nextAttempt: null };
+    }
+    const delayMs = CONFIG.OUTBOX.BASE_DELAY_MINUTES * 60000 * Math.pow(2, attempts - 1);
+    return { status: OUTBOX_STATUS.PENDING, nextAttempt: new Date(now.getTime() + delayMs) };
+}
+
+/**
+ * Retries the pending outbox entries that are due.
+ * Intended to run from a time-driven trigger, see installOutboxTrigger.
+ * Only one run sends at a time, so the trigger and the menu never deliver an entry twice;
+ * an overlapping run returns immediately. An entry whose payload cannot be read is
+ * moved to dead letter without stopping the run. The status of every entry is saved right
+ * after its request, and the run stops after CONFIG.OUTBOX.MAX_RUNTIME_MS, leaving the
+ * remaining entries to the next run.
+ * @returns {{delivered: number, failed: number, deadLetter: number, remaining: number}} Counts of the processed and left over entries.
+ */
+function processOutbox() {
+    const summary = { delivered: 0, failed: 0, deadLetter: 0, remaining: 0 };
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(1000)) {
+        debugLog('Outbox already being processed');
+        return summary;
+    }
+    try {
+        const startTime = Date.now();
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(OUTBOX_SHEET);
+        if (!sheet) return summary;
+        const rows = sheet.getDataRange().getValues();
+        const now = new Date();
+        const due = rows
+            .map((row, index) => ({ row: row, rowNumber: index + 1 }))
+            .filter(({ row, rowNumber }) => rowNumber > 1 && row[2] === OUTBOX_STATUS.PENDING && !(row[4] && new Date(row[4]) > now));
+        const saveStatus = (rowNumber, values) => {
+            sheet.getRange(rowNumber, 3, 1, 4).setValues([values]);
+            SpreadsheetApp.flush();
+        };
+
+        for (const { row, rowNumber } of due) {
+            if (Date.now() - startTime > CONFIG.OUTBOX.MAX_RUNTIME_MS) break;
+            const [id, operation, , attempts] = row;
+            let envelope;
+            try {
+                envelope = readOutboxPayload(row);
+            } catch (error) {
+                saveStatus(rowNumber, [OUTBOX_STATUS.DEAD_LETTER, attempts, '', `Unreadable payload: ${error.message}`]);
+                Logger.log(`Outbox entry ${id} moved to dead letter: unreadable payload`);
+                summary.deadLetter++;
+                continue;
+            }
+            const result = postToWebhook(operation, envelope);
+            if (result.ok) {
+                saveStatus(rowNumber, [OUTBOX_STATUS.DELIVERED, attempts + 1, '', '']);
+                markOutboxSourceSent(envelope);
+                summary.delivered++;
+                continue;
+            }
+
+            const retry = getOutboxRetryState(attempts + 1, now);
+            saveStatus(rowNumber, [retry.status, attempts + 1, retry.nextAttempt || '', result.error]);
+            if (retry.status === OUTBOX_STATUS.DEAD_LETTER) {
+                Logger.log(`Outbox entry ${id} moved to dead letter after ${attempts + 1} attempts`);
+                summary.deadLetter++;
+            } else {
+                summary.failed++;
+            }
+        }
+        summary.remaining = due.length - summary.delivered - summary.failed - summary.deadLetter;
+        debugLog(`Outbox processed: ${JSON.stringify(summary)}`, true);
+    } catch (error) {
+        Logger.log(`Error in processOutbox: ${error.message}`);
+    } finally {
+        lock.releaseLock();
+    }
+    return summary;
+}
+
+/**
+ * Sets the action cells of the rows a delivered outbox entry was sent for to "Sent".
+ * @param {Object} envelope - The delivered envelope.
+ */
+function markOutboxSourceSent(envelope) {
+    const source = envelope.source || {};
+    const sheet = source.sheet ? SpreadsheetApp.getActiveSpreadsheet().getSheetByName(source.sheet) : null;
+    if (!sheet) return;
+    const rows = envelope.items ? envelope.items.map(item => item.row_id) : [source.row];
+    setActionStatus(sheet, rows.filter(Boolean), ACTION_STATUS.SENT);
+}
+
+/**
+ * Moves every dead letter entry back to pending and retries the outbox immediately.
+ * @returns {{delivered: number, failed: number, deadLetter: number}} Counts of the processed entries.
+ */
+function replayDeadLetters() {
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(OUTBOX_SHEET);
+        if (sheet) {
+            const statuses = sheet.getRange(1, 3, sheet.getLastRow(), 2).getValues();
+            statuses.forEach((row, index) => {
+                if (index > 0 && row[0] === OUTBOX_STATUS.DEAD_LETTER) {
+                    sheet.getRange(index + 1, 3, 1, 3).setValues([[OUTBOX_STATUS.PENDING, 0, '']]);
+                }
+            });
+        }
+    } catch (error) {
+        Logger.log(`Error in replayDeadLetters: ${error.message}`);
+    }
+    return processOutbox();
+}
+
+/**
+ * Creates the time-driven trigger that retries the outbox, unless it already exists.
+ */
+function installOutboxTrigger() {
+    const exists = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'processOutbox');
+    if (!exists) {
+        ScriptApp.newTrigger('processOutbox').timeBased().everyMinutes(5).create();
+        debugLog('Outbox trigger installed', true);
+    }
+}
+
+// Export functions
+this.addToOutbox = addToOutbox;
+this.processOutbox = processOutbox;
+this.replayDeadLetters = replayDeadLetters;
+this.installOutboxTrigger = installOutboxTrigger;
@@ -0,0 +1,301 @@
+/**
+ * Asynchronous job queue for trigger operations.
+ *
+ * handleEdit only records a job (operation, sheet, rows, user, timestamp) in the
+ * hidden "Jobs" sheet. The time-driven worker processJobQueue drains the queue in
+ * batches, calls the trigger handler with an event rebuilt from the job and stores
+ * the job status. It stops before the Apps Script execution limit and leaves the
+ * remaining jobs for the next run.
+ *
+ * Jobs keep the hierarchy IDs of their rows, so rows sorted or inserted before the
+ * worker runs are still found; row numbers are only used for rows without an ID.
+ * Jobs left "Running" by an interrupted worker are queued again, and finished jobs
+ * are removed after CONFIG.JOB_QUEUE.KEEP_DAYS. The queue is enabled by the
+ * JOB_QUEUE_ENABLED setting, which installJobQueueTrigger turns on.
+ *
+ * @module queue
+ */
+
+/**
+ * Name of the hidden sheet holding the jobs.
+ * @const {string}
+ */
+var JOBS_SHEET = "Jobs";
+
+/**
+ * Header row of the Jobs sheet.
+ * @const {Array<string>}
+ */
+var JOBS_HEADERS = ["ID", "Operation", "Sheet", "Row", "Rows", "Column", "Header", "Value", "User", "Created", "Status", "Updated", "Message", "Record IDs"];
+
+/**
+ * Job statuses.
+ * @const {Object}
+ */
+var JOB_STATUS = {
+    QUEUED: "Queued",
+    RUNNING: "Running",
+    DONE: "Done",
+    FAILED: "Failed"
+};
+
+/**
+ * Setting enabling the job queue, see isJobQueueEnabled.
+ * @const {string}
+ */
+var JOB_QUEUE_SETTING = "JOB_QUEUE_ENABLED";
+
+/**
+ * Checks whether trigger operations are queued instead of sent right away.
+ * The JOB_QUEUE_ENABLED setting overrides CONFIG.JOB_QUEUE.ENABLED.
+ * @returns {boolean} True if the job queue is enabled.
+ */
+function isJobQueueEnabled() {
+    const value = getSetting(JOB_QUEUE_SETTING, CONFIG.JOB_QUEUE.ENABLED);
+    return value === true || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Records a job for an edit that matched a trigger.
+ * The hierarchy IDs of the triggered rows are stored when every row has one.
+ * @param {Object} e - The event object from the edit trigger.
+ * @param {Object} trigger - The matching CONFIG.TRIGGERS entry.
+ * @param {Array<{rowId: number, data: Object}>} rows - The triggered rows, see getTriggeredRows.
+ * @returns {string} The job ID.
+ */
+function enqueueJob(e, trigger, rows) {
+    const sheet = getOrCreateSheet(e.source, JOBS_SHEET, JOBS_HEADERS, true);
+    const id = Utilities.getUuid();
+    const now = new Date();
+    const user = e.user ? e.user.getEmail() : Session.getActiveUser().getEmail();
+    const recordIds = rows.map(row => getRecordIdentity(trigger.sheet, row.data).id);
+    sheet.appendRow([
+        id, trigger.operation, trigger.sheet, e.range.getRow(), e.range.getNumRows(), e.range.getColumn(),
+        trigger.header || '', trigger.value === undefined ? '' : trigger.value, user, now, JOB_STATUS.QUEUED, now, '',
+        recordIds.length > 0 && recordIds.every(Boolean) ? recordIds.join(',') : ''
+    ]);
+    debugLog(`Queued job ${id} for ${trigger.operation} at ${trigger.sheet} row ${e.range.getRow()}`, true);
+    return id;
+}
+
+/**
+ * Drains the job queue. Intended to run from a time-driven trigger, see installJobQueueTrigger.
+ * Only one worker runs at a time, an overlapping run returns immediately.
+ * @returns {{done: number, failed: number, remaining: number}} Counts of the processed and left over jobs.
+ */
+function processJobQueue() {
+    const summary = { done: 0, failed: 0, remaining: 0 };
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(1000)) {
+        debugLog('Job queue worker already running');
+        return summary;
+    }
+    const startTime = Date.now();
+    try {
+        const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+        const sheet = spreadsheet.getSheetByName(JOBS_SHEET);
+        if (!sheet) return summary;
+
+        const jobs = sheet.getDataRange().getValues()
+            .map((row, index) => ({ rowNumber: index + 1, job: getRowData(JOBS_HEADERS, row) }))
+            .slice(1);
+        // Only this worker runs jobs and it holds the lock, so a running job was interrupted
+        jobs.filter(item => item.job.Status === JOB_STATUS.RUNNING).forEach(item => {
+            item.job.Status = JOB_STATUS.QUEUED;
+            setJobStatus(sheet, item.rowNumber, JOB_STATUS.QUEUED, 'Requeued after an interrupted run');
+        });
+        const queued = jobs.filter(item => item.job.Status === JOB_STATUS.QUEUED);
+
+        for (const item of queued.slice(0, CONFIG.JOB_QUEUE.BATCH_SIZE)) {
+            if (Date.now() - startTime > CONFIG.JOB_QUEUE.MAX_RUNTIME_MS) break;
+            setJobStatus(sheet, item.rowNumber, JOB_STATUS.RUNNING, '');
+            const outcome = runJob(spreadsheet, item.job);
+            setJobStatus(sheet, item.rowNumber, outcome.ok ? JOB_STATUS.DONE : JOB_STATUS.FAILED, outcome.message);
+            summary[outcome.ok ? 'done' : 'failed']++;
+        }
+        summary.remaining = queued.length - summary.done - summary.failed;
+        pruneJobs(sheet, jobs, new Date());
+        debugLog(`Job queue processed: ${JSON.stringify(summary)}`, true);
+    } catch (error) {
+        Logger.log(`Error in processJobQueue: ${error.message}`);
+    } finally {
+        lock.releaseLock();
+    }
+    return summary;
+}
+
+/**
+ * Runs the trigger handler of a job with an event rebuilt from the job.
+ * Rows of a job with record IDs are looked up where they are now; the handler runs
+ * once per block of adjacent rows.
+ * @param {Object} spreadsheet - The spreadsheet the job belongs to.
+ * @param {Object} job - The job row mapped to JOBS_HEADERS.
+ * @returns {{ok: boolean, message: string}} The job outcome.
+ */
+function runJob(spreadsheet, job) {
+    try {
+        const sheet = spreadsheet.getSheetByName(job.Sheet);
+        if (!sheet) throw new Error(`Sheet not found: ${job.Sheet}`);
+        const trigger = CONFIG.TRIGGERS.find(entry =>
+            entry.sheet === job.Sheet && entry.operation === job.Operation && (entry.header || '') === job.Header
+        );
+        if (!trigger) throw new Error(`No trigger registered for ${job.Operation} on ${job.Sheet}`);
+
+        let blocks = [{ row: job.Row, rows: job.Rows }];
+        const recordIds = String(job["Record IDs"] || '').split(',').filter(Boolean);
+        if (recordIds.length > 0) {
+            const [headers, ...rows] = sheet.getDataRange().getValues();
+            const rowNumbers = findRecordRows(job.Sheet, rows.map(row => getRowData(headers, row)), recordIds);
+            if (rowNumbers.length === 0) throw new Error(`Rows no longer found: ${recordIds.join(', ')}`);
+            blocks = groupAdjacentRows(rowNumbers);
+        }
+
+        const results = blocks.map(block => getTriggerHandler(trigger)({
+            source: spreadsheet,
+            range: sheet.getRange(block.row, job.Column, block.rows, 1),
+            value: job.Value,
+            user: { getEmail: () => job.User },
+            editTime: job.Created
+        }, trigger));
+        if (results.every(Array.isArray)) return getJobOutcome([].concat(...results));
+        const outcomes = results.map(getJobOutcome);
+        return { ok: outcomes.every(outcome => outcome.ok), message: outcomes.map(outcome => outcome.message).join('; ') };
+    } catch (error) {
+        Logger.log(`Error in runJob: ${error.message}`);
+        logAutomation({ operation: job.Operation, sheet: job.Sheet, row: job.Row, status: 'failed', message: error.message });
+        return { ok: false, message: error.message };
+    }
+}
+
+/**
+ * Finds the current row numbers of records by their hierarchy ID.
+ * @param {string} sheetName - The name of the sheet holding the records.
+ * @param {Array<Object>} records - The data rows of the sheet mapped to headers.
+ * @param {Array<string>} recordIds - The IDs to find.
+ * @returns {Array<number>} The row numbers of the records found, in sheet order.
+ */
+function findRecordRows(sheetName, records, recordIds) {
+    return records
+        .map((record, index) => ({ rowNumber: index + 2, id: getRecordIdentity(sheetName, record).id }))
+        .filter(item => item.id && recordIds.indexOf(String(item.id)) !== -1)
+        .map(item => item.rowNumber);
+}
+
+/**
+ * Groups sorted row numbers into blocks of adjacent rows.
+ * @param {Array<number>} rowNumbers - The row numbers, in ascending order.
+ * @returns {Array<{row: number, rows: number}>} The first row and row count of every block.
+ */
+function groupAdjacentRows(rowNumbers) {
+    return rowNumbers.reduce((blocks, rowNumber) => {
+        const last = blocks[blocks.length - 1];
+        if (last && last.row + last.rows === rowNumber) {
+            last.rows++;
+        } else {
+            blocks.push({ row: rowNumber, rows: 1 });
+        }
+        return blocks;
+    }, []);
+}
+
+/**
+ * Deletes the finished jobs last updated more than CONFIG.JOB_QUEUE.KEEP_DAYS ago.
+ * Rows are deleted from the bottom, so jobs appended meanwhile are never touched.
+ * @param {Object} sheet - The Jobs sheet.
+ * @param {Array<{rowNumber: number, job: Object}>} jobs - The jobs read at the start of the run.
+ * @param {Date} now - The current time.
+ * @returns {number} The number of deleted jobs.
+ */
+function pruneJobs(sheet, jobs, now) {
+    const expired = findExpiredJobs(jobs, now);
+    expired.slice().reverse().forEach(rowNumber => sheet.deleteRow(rowNumber));
+    if (expired.length > 0) debugLog(`Pruned ${expired.length} finished job(s)`);
+    return expired.length;
+}
+
+/**
+ * Lists the rows of finished jobs older than CONFIG.JOB_QUEUE.KEEP_DAYS.
+ * @param {Array<{rowNumber: number, job: Object}>} jobs - The jobs.
+ * @param {Date} now - The current time.
+ * @returns {Array<number>} The row numbers, in ascending order.
+ */
+function findExpiredJobs(jobs, now) {
+    const cutoff = now.getTime() - CONFIG.JOB_QUEUE.KEEP_DAYS * 24 * 60 * 60 * 1000;
+    return jobs
+        .filter(item => [JOB_STATUS.DONE, JOB_STATUS.FAILED].indexOf(item.job.Status) !== -1)
+        .filter(item => item.job.Updated && new Date(item.job.Updated).getTime() < cutoff)
+        .map(item => item.rowNumber);
+}
+
+/**
+ * Turns the value returned by a trigger handler into a job outcome.
+ * Handlers return a delivery result, a list of per row statuses, or nothing.
+ * @param {*} result - The handler return value.
+ * @returns {{ok: boolean, message: string}} The job outcome.
+ */
+function getJobOutcome(result) {
+    if (Array.isArray(result)) {
+        const failed = result.filter(status => status.status === 'failed');
+        const sent = result.filter(status => ['sent', 'groomed', 'dry-run'].indexOf(status.status) !== -1);
+        return failed.length === 0
+            ? { ok: true, message: `${sent.length} row(s) sent, ${result.length - sent.length} duplicate(s) skipped` }
+            : { ok: false, message: `Rows ${failed.map(status => status.row_id).join(', ')} failed: ${failed[0].error}` };
+    }
+    if (result && result.duplicate) {
+        return { ok: true, message: 'Duplicate request skipped' };
+    }
+    if (result && typeof result === 'object' && 'ok' in result) {
+        return { ok: result.ok, message: result.ok ? `Sent (status ${result.status})` : result.error };
+    }
+    return { ok: true, message: 'Nothing to send' };
+}
+
+/**
+ * Writes the status of a job.
+ * @param {Object} sheet - The Jobs sheet.
+ * @param {number} rowNumber - The job row.
+ * @param {string} status - The new status.
+ * @param {string} message - The status message.
+ */
+function setJobStatus(sheet, rowNumber, status, message) {
+    const statusColumn = JOBS_HEADERS.indexOf("Status") + 1;
+    sheet.getRange(rowNumber, statusColumn, 1, 3).setValues([[status, new Date(), message || '']]);
+}
+
+/**
+ * Moves every failed job back to the queue and runs the worker immediately.
+ * @returns {{done: number, failed: number, remaining: number}} Counts of the processed and left over jobs.
+ */
+function retryFailedJobs() {
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOBS_SHEET);
+        if (sheet) {
+            sheet.getDataRange().getValues().forEach((row, index) => {
+                const job = getRowData(JOBS_HEADERS, row);
+                if (index > 0 && job.Status === JOB_STATUS.FAILED) setJobStatus(sheet, index + 1, JOB_STATUS.QUEUED, 'Retry requested');
+            });
+        }
+    } catch (error) {
+        Logger.log(`Error in retryFailedJobs: ${error.message}`);
+    }
+    return processJobQueue();
+}
+
+/**
+ * Creates the time-driven trigger running the job queue worker, unless it already exists,
+ * and enables the job queue for the spreadsheet.
+ */
+function installJobQueueTrigger() {
+    const exists = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'processJobQueue');
+    if (!exists) {
+        ScriptApp.newTrigger('processJobQueue').timeBased().everyMinutes(1).create();
+        debugLog('Job queue trigger installed', true);
+    }
+    PropertiesService.getDocumentProperties().setProperty(JOB_QUEUE_SETTING, 'true');
+}
+
+// Export functions
+this.enqueueJob = enqueueJob;
+this.processJobQueue = processJobQueue;
+this.retryFailedJobs = retryFailedJobs;
+this.installJobQueueTrigger = installJobQueueTrigger;
@@ -0,0 +1,148 @@
+/**
+ * Payload schemas of the outgoing operations.
+ *
+ * The row records of a payload carry whatever headers the sheet has. The schema of
+ * an operation, see CONFIG.OPERATIONS, names the canonical fields the scenario maps,
+ * their types and which of them are required. Before sending, fields found under an
+ * alias header are renamed to the canonical name and values are converted to the
+ * field type. A payload that still misses required data is not sent: the error lists
+ * the missing fields per row. Fields not in the schema are sent unchanged.
+ *
+ * @module schemas
+ */
+
+/**
+ * Renames alias fields to their canonical name and converts values to the field types.
+ * The records of the payload are changed in place.
+ * @param {string} operation - The operation name.
+ * @param {Object} json - The payload.
+ * @returns {Object} The same payload.
+ */
+function normalizePayload(operation, json) {
+    const schema = getOperationConfig(operation).schema;
+    if (!schema) return json;
+    getSchemaRecords(schema, json).forEach(({ record }) => normalizeRecord(schema.fields, record));
+    return json;
+}
+
+/**
+ * Checks the records of a payload against the schema of its operation.
+ * @param {string} operation - The operation name.
+ * @param {Object} json - The normalized payload, see normalizePayload.
+ * @returns {Array<string>} One message per invalid record, empty if the payload matches.
+ */
+function validatePayloadSchema(operation, json) {
+    const schema = getOperationConfig(operation).schema;
+    if (!schema) return [];
+    const records = getSchemaRecords(schema, json);
+    if (records.length === 0) return [`Payload has no ${schema.records}`];
+    return records.reduce((errors, { label, record }) => {
+        const problems = validateRecord(schema.fields, record);
+        if (problems.length > 0) errors.push(`${label}: ${problems.join(', ')}`);
+        return errors;
+    }, []);
+}
+
+/**
+ * Collects the records of a payload a schema applies to.
+ * @param {Object} schema - The operation schema.
+ * @param {Object} json - The payload.
+ * @returns {Array<{label: string, record: Object}>} The records, labelled with their row for error messages.
+ */
+function getSchemaRecords(schema, json) {
+    const label = rowId => (rowId ? `row ${rowId}` : 'record');
+    if (schema.records === 'eventData' && Array.isArray(json.items)) {
+        return json.items.map(item => ({ label: label(item.row_id), record: item.eventData || {} }));
+    }
+    const value = json[schema.records];
+    if (Array.isArray(value)) return value.map(record => ({ label: label(record.row_id), record: record }));
+    return value ? [{ label: label(json.row_id), record: value }] : [];
+}
+
+/**
+ * Renames alias fields of one record and converts its values in place.
+ * A canonical field already present wins over its aliases.
+ * @param {Object} fields - The schema fields by canonical name.
+ * @param {Object} record - The record.
+ */
+function normalizeRecord(fields, record) {
+    Object.entries(fields).forEach(([name, field]) => {
+        const key = findFieldKey(record, name, field);
+        if (key === null) return;
+        const value = record[key];
+        delete record[key];
+        record[name] = convertFieldValue(value, field.type).value;
+    });
+}
+
+/**
+ * Lists the missing required fields and the values not matching their type.
+ * @param {Object} fields - The schema fields by canonical name.
+ * @param {Object} record - The normalized record.
+ * @returns {Array<string>} The problems found.
+ */
+function validateRecord(fields, record) {
+    const missing = [];
+    const invalid = [];
+    Object.entries(fields).forEach(([name, field]) => {
+        const value = record[name];
+        if (value === undefined || value === null || value === '') {
+            if (field.required) missing.push(name);
+        } else if (field.type && !convertFieldValue(value, field.type).ok) {
+            invalid.push(`${name} must be a ${field.type}`);
+        }
+    });
+    return (missing.length > 0 ? [`missing ${missing.join(', ')}`] : []).concat(invalid);
+}
+
+/**
+ * Finds the key a schema field is stored under in a record.
+ * The canonical name is looked up first, then the aliases, ignoring case and surrounding spaces.
+ * @param {Object} record - The record.
+ * @param {string} name - The canonical field name.
+ * @param {Object} field - The schema field.
+ * @returns {string|null} The record key, or null if the record has no such field.
+ */
+function findFieldKey(record, name, field) {
+    if (name in record) return name;
+    const keys = Object.keys(record);
+    const candidates = [name].concat(field.aliases || []).map(candidate => candidate.trim().toLowerCase());
+    for (const candidate of candidates) {
+        const key = keys.find(recordKey => String(recordKey).trim().toLowerCase() === candidate);
+        if (key !== undefined) return key;
+    }
+    return null;
+}
+
+/**
+ * Converts a cell value to a field type.
+ * Numbers and booleans are accepted for strings, numeric text for numbers
+ * and "true"/"false" for booleans.
+ * @param {*} value - The value.
+ * @param {string} [type] - "string", "number" or "boolean", any value when omitted.
+ * @returns {{value: *, ok: boolean}} The converted value, or the original one when it does not convert.
+ */
+function convertFieldValue(value, type) {
+    if (value === undefined || value === null || value === '') return { value: value, ok: true };
+    switch (type) {
+        case 'string':
+            if (typeof value === 'string') return { value: value, ok: true };
+            if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value), ok: true };
+            return { value: value, ok: false };
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            return Number.isFinite(number) && String(value).trim() !== '' ? { value: number, ok: true } : { value: value, ok: false };
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value: value, ok: true };
+            const text = String(value).trim().toLowerCase();
+            return text === 'true' || text === 'false' ? { value: text === 'true', ok: true } : { value: value, ok: false };
+        }
+        default:
+            return { value: value, ok: true };
+    }
+}
+
+// Export functions
+this.normalizePayload = normalizePayload;
+this.validatePayloadSchema = validatePayloadSchema;
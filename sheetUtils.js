@@ -0,0 +1,115 @@
+/**
+ * Helper functions shared by the sheet modules.
+ * Locates columns and rows by header name so modules do not depend on column positions.
+ * @module sheetUtils
+ */
+
+/**
+ * Retrieves the header row of a sheet.
+ * @param {Object} sheet - The sheet to read.
+ * @returns {Array} The header values, empty if the sheet has no columns.
+ */
+function getSheetHeaders(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    if (lastColumn < 1) return [];
+    return sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+}
+
+/**
+ * Finds the column number of a header.
+ * @param {Array} headers - The header row of the sheet.
+ * @param {string} header - The header name to look for.
+ * @returns {number} The 1-based column number, or 0 if the header is missing.
+ */
+function getColumnByHeader(headers, header) {
+    return headers.indexOf(header) + 1;
+}
+
+/**
+ * Finds the first data row whose value under a header equals the given value.
+ * @param {Object} sheet - The sheet to search.
+ * @param {string} header - The header of the column to match.
+ * @param {*} value - The value to look for.
+ * @returns {Object|null} The row data mapped to headers, or null if no row matches.
+ */
+function findRowDataByHeaderValue(sheet, header, value) {
+    try {
+        const data = sheet.getDataRange().getValues();
+        const headers = data[0] || [];
+        const index = headers.indexOf(header);
+        if (index === -1) throw new Error(`Header not found in ${sheet.getName()}: ${header}`);
+        const row = data.slice(1).find(row => row[index] !== '' && String(row[index]) === String(value));
+        return row ? getRowData(headers, row) : null;
+    } catch (error) {
+        Logger.log(`Error in findRowDataByHeaderValue: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Retrieves a sheet by name, creating it with a header row when missing.
+ * @param {Object} spreadsheet - The spreadsheet containing the sheet.
+ * @param {string} name - The sheet name.
+ * @param {Array<string>} headers - The header row written to a new sheet.
+ * @param {boolean} [hidden=false] - Whether a new sheet is hidden from users.
+ * @returns {Object} The existing or newly created sheet.
+ */
+function getOrCreateSheet(spreadsheet, name, headers, hidden = false) {
+    let sheet = spreadsheet.getSheetByName(name);
+    if (!sheet) {
+        debugLog(`Creating sheet: ${name}`);
+        sheet = spreadsheet.insertSheet(name);
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.setFrozenRows(1);
+        if (hidden) sheet.hideSheet();
+    }
+    return sheet;
+}
+
+/**
+ * Number of nested withDocumentLock calls of the current execution.
+ * @type {number}
+ */
+var DOCUMENT_LOCK_DEPTH = 0;
+
+/**
+ * Runs a function while holding the document lock, so concurrent edits, web app
+ * requests and workers do not write the same rows. Nested calls reuse the held lock.
+ * @param {function(): *} callback - The function to run.
+ * @returns {*} The return value of the function.
+ * @throws {Error} If the lock cannot be acquired within 10 seconds.
+ */
+function withDocumentLock(callback) {
+    if (DOCUMENT_LOCK_DEPTH > 0) return callback();
+    const lock = LockService.getDocumentLock();
+    lock.waitLock(10000);
+    DOCUMENT_LOCK_DEPTH++;
+    try {
+        return callback();
+    } finally {
+        DOCUMENT_LOCK_DEPTH--;
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Splits an array into chunks of at most the given size.
+ * @param {Array} items - The items to split.
+ * @param {number} size - The maximum chunk size.
+ * @returns {Array<Array>} The chunks, in order.
+ */
+function chunkArray(items, size) {
+    const chunks = [];
+    const chunkSize = Math.max(1, size || items.length);
+    for (let index = 0; index < items.length; index += chunkSize) {
+        chunks.push(items.slice(index, index + chunkSize));
+    }
+    return chunks;
+}
+
+// Export functions
+this.getSheetHeaders = getSheetHeaders;
+this.getColumnByHeader = getColumnByHeader;
+this.findRowDataByHeaderValue = findRowDataByHeaderValue;
+this.getOrCreateSheet = getOrCreateSheet;
+this.chunkArray = chunkArray;
@@ -0,0 +1,100 @@
+/**
+ * HMAC-SHA256 signing of webhook payloads.
+ *
+ * The signature covers "<timestamp>.<nonce>.<body>" and is computed with the
+ * WEBHOOK_SECRET setting. Outgoing requests carry it in the X-Signature,
+ * X-Timestamp and X-Nonce headers. Apps Script web apps cannot read request
+ * headers, so inbound requests pass the same values as the signature, timestamp
+ * and nonce query parameters. A request is rejected when its timestamp is outside
+ * the tolerance window or its nonce was already seen within that window. Without a
+ * WEBHOOK_SECRET every inbound request is rejected, the web app is open to anyone.
+ *
+ * @module signing
+ */
+
+/**
+ * Computes the hex HMAC-SHA256 signature of a request.
+ * @param {string} secret - The shared secret.
+ * @param {string|number} timestamp - Unix time in seconds.
+ * @param {string} nonce - A unique value per request.
+ * @param {string} body - The raw request body.
+ * @returns {string} The hex signature.
+ */
+function computeSignature(secret, timestamp, nonce, body) {
+    const signature = Utilities.computeHmacSha256Signature(`${timestamp}.${nonce}.${body}`, secret);
+    return signature.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates the signature headers for an outgoing request body.
+ * @param {string} body - The raw request body.
+ * @returns {Object} The X-Signature, X-Timestamp and X-Nonce headers, empty when no secret is configured.
+ */
+function createSignatureHeaders(body) {
+    const secret = getSetting('WEBHOOK_SECRET');
+    if (!secret) {
+        debugLog('WEBHOOK_SECRET is not set, sending the payload unsigned', true);
+        return {};
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    const nonce = Utilities.getUuid();
+    return {
+        'X-Signature': `sha256=${computeSignature(secret, timestamp, nonce, body)}`,
+        'X-Timestamp': String(timestamp),
+        'X-Nonce': nonce
+    };
+}
+
+/**
+ * Checks a signature against the body, without replay protection.
+ * @param {string} secret - The shared secret.
+ * @param {string} body - The raw request body.
+ * @param {Object} signed - The received signature, timestamp and nonce.
+ * @param {number} nowSeconds - The current Unix time in seconds.
+ * @returns {string|null} The reason the signature is rejected, or null if it is valid.
+ */
+function checkSignature(secret, body, signed, nowSeconds) {
+    const { signature, timestamp, nonce } = signed;
+    if (!signature || !timestamp || !nonce) return 'Missing signature, timestamp or nonce';
+    if (Math.abs(nowSeconds - Number(timestamp)) > CONFIG.SIGNATURE_TOLERANCE_SECONDS) return 'Timestamp outside the allowed window';
+
+    const expected = `sha256=${computeSignature(secret, timestamp, nonce, body)}`;
+    const received = String(signature).indexOf('sha256=') === 0 ? String(signature) : `sha256=${signature}`;
+    // Compare every character so the time taken does not reveal the matching prefix
+    let difference = expected.length ^ received.length;
+    for (let index = 0; index < expected.length; index++) {
+        difference |= expected.charCodeAt(index) ^ received.charCodeAt(index);
+    }
+    return difference === 0 ? null : 'Invalid signature';
+}
+
+/**
+ * Verifies the signature of an inbound web app request, including replay protection.
+ * Requests are rejected while no WEBHOOK_SECRET is configured. The nonce is checked and
+ * stored under a lock, so two concurrent replays of one request cannot both pass.
+ * @param {Object} e - The event object of the web app request.
+ * @returns {string|null} The reason the request is rejected, or null if it is accepted.
+ */
+function verifyInboundSignature(e) {
+    const secret = getSetting('WEBHOOK_SECRET');
+    if (!secret) return 'WEBHOOK_SECRET is not configured, inbound requests are rejected';
+    const params = e.parameter || {};
+    const rejection = checkSignature(secret, e.postData.contents, params, Math.floor(Date.now() / 1000));
+    if (rejection) return rejection;
+
+    const lock = LockService.getDocumentLock();
+    lock.waitLock(10000);
+    try {
+        const cache = CacheService.getScriptCache();
+        const nonceKey = `signatureNonce_${params.nonce}`;
+        if (cache.get(nonceKey)) return 'Nonce already used';
+        cache.put(nonceKey, '1', CONFIG.SIGNATURE_TOLERANCE_SECONDS * 2);
+        return null;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+// Export functions
+this.createSignatureHeaders = createSignatureHeaders;
+this.verifyInboundSignature = verifyInboundSignature;
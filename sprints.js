@@ -0,0 +1,264 @@
+/**
+ * Sprint capacity planning.
+ *
+ * Fits the estimated subtasks into sprints of the team. Every Estimates row is one work
+ * item for its "Role". The weekly hours of a member come from the Team "Availability"
+ * column, either a number of hours or a percentage of CONFIG.SPRINTS.HOURS_PER_WEEK.
+ *
+ * Work items are planned by the "Priority" of their epic, story and subtask (1 or
+ * "Highest" first, empty counts as "Medium"), then in sheet order. A subtask is never
+ * planned before the subtask above it in the same story. Each item goes to the earliest
+ * sprint where a member of its role has the hours left, to the member with the most hours
+ * left. An item larger than a full sprint of any member is planned anyway and flagged as
+ * over-allocated; items without estimate, role or capacity are left unplanned.
+ * The plan is written to the "Sprints" sheet.
+ *
+ * @module sprints
+ */
+
+/**
+ * Name of the sheet the sprint plan is written to.
+ * @const {string}
+ */
+var SPRINTS_SHEET = "Sprints";
+
+/**
+ * Rank of the priority names, lower is planned first.
+ * @const {Object}
+ */
+var PRIORITY_RANKS = {
+    highest: 1,
+    high: 2,
+    medium: 3,
+    low: 4,
+    lowest: 5
+};
+
+/**
+ * Statuses of the planned work items.
+ * @const {Object}
+ */
+var SPRINT_STATUS = {
+    PLANNED: "Planned",
+    OVER_ALLOCATED: "Over-allocated",
+    UNPLANNED: "Unplanned"
+};
+
+/**
+ * Background of the flagged rows of the Sprints sheet.
+ * @const {Object}
+ */
+var SPRINT_FLAG_COLORS = {
+    "Over-allocated": "#f4cccc",
+    "Unplanned": "#fce8b2"
+};
+
+/**
+ * Plans the sprints of a spreadsheet and writes them to the Sprints sheet.
+ * @param {Object} spreadsheet - The spreadsheet holding the Team, Epics, US/Tasks and Estimates sheets.
+ * @param {Date} startDate - The first day of the first sprint.
+ * @param {number} weeks - The sprint length in weeks.
+ * @returns {Object} The plan, see planSprints.
+ */
+function planSprintsForSpreadsheet(spreadsheet, startDate, weeks) {
+    const readRecords = sheetName => {
+        const sheet = spreadsheet.getSheetByName(sheetName);
+        if (!sheet) return [];
+        const [headers, ...rows] = sheet.getDataRange().getValues();
+        return rows.map(row => getRowData(headers, row));
+    };
+    const workItems = orderWorkItems(readRecords("Estimates"), readRecords("Epics"), readRecords("US/Tasks"));
+    const plan = planSprints(workItems, getTeamData(spreadsheet), {
+        startDate: startDate,
+        weeks: weeks,
+        sprintCount: CONFIG.SPRINTS.COUNT
+    });
+    writeSprintsSheet(spreadsheet, plan);
+    debugLog(`Sprints planned: ${plan.assignments.length} item(s), ${plan.unplanned.length} unplanned`, true);
+    return plan;
+}
+
+/**
+ * Turns the Estimates rows into work items in planning order.
+ * @param {Array<Object>} estimates - The Estimates rows mapped to headers.
+ * @param {Array<Object>} epics - The Epics rows mapped to headers.
+ * @param {Array<Object>} items - The US/Tasks rows mapped to headers.
+ * @returns {Array<Object>} The work items: {epicId, storyId, taskId, role, hours}, ordered.
+ */
+function orderWorkItems(estimates, epics, items) {
+    const headers = CONFIG.HEADERS;
+    const positions = {};
+    const index = (records, idHeader) => records.forEach((record, position) => {
+        const id = record[idHeader];
+        if (id && !(id in positions)) positions[id] = { position: position, rank: getPriorityRank(record[headers.PRIORITY]) };
+    });
+    index(epics, headers.EPIC_ID);
+    index(items.filter(record => getHierarchyLevel("US/Tasks", record) === 'story'), headers.STORY_ID);
+    index(items.filter(record => getHierarchyLevel("US/Tasks", record) === 'subtask'), headers.TASK_ID);
+    const sortKey = id => {
+        const position = positions[id] || { position: Infinity, rank: PRIORITY_RANKS.medium };
+        return [position.rank, position.position];
+    };
+
+    return estimates
+        .filter(record => record[headers.TASK_ID])
+        .map((record, position) => ({
+            epicId: record[headers.EPIC_ID] || '',
+            storyId: record[headers.STORY_ID] || '',
+            taskId: record[headers.TASK_ID],
+            role: record[headers.ROLE] || '',
+            hours: Number(record[headers.HOURS]) || 0,
+            keys: [].concat(sortKey(record[headers.EPIC_ID]), sortKey(record[headers.STORY_ID]), sortKey(record[headers.TASK_ID]), [position])
+        }))
+        .sort((first, second) => {
+            for (let key = 0; key < first.keys.length; key++) {
+                if (first.keys[key] !== second.keys[key]) return first.keys[key] < second.keys[key] ? -1 : 1;
+            }
+            return 0;
+        })
+        .map(item => {
+            delete item.keys;
+            return item;
+        });
+}
+
+/**
+ * Converts a priority cell to its rank.
+ * @param {*} value - A number, a name of PRIORITY_RANKS or empty.
+ * @returns {number} The rank, "Medium" when empty or unknown.
+ */
+function getPriorityRank(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value || '').trim().toLowerCase();
+    if (text !== '' && !isNaN(Number(text))) return Number(text);
+    return PRIORITY_RANKS[text] || PRIORITY_RANKS.medium;
+}
+
+/**
+ * Computes the hours a team member can work in one sprint.
+ * @param {Object} member - The Team record.
+ * @param {number} weeks - The sprint length in weeks.
+ * @returns {number} The sprint capacity in hours.
+ */
+function getMemberCapacity(member, weeks) {
+    const availability = String(member[CONFIG.HEADERS.AVAILABILITY] === undefined ? '' : member[CONFIG.HEADERS.AVAILABILITY]).trim();
+    const weekly = availability.endsWith('%')
+        ? CONFIG.SPRINTS.HOURS_PER_WEEK * (Number(availability.slice(0, -1)) || 0) / 100
+        : (availability === '' ? CONFIG.SPRINTS.HOURS_PER_WEEK : Number(availability) || 0);
+    return weekly * weeks;
+}
+
+/**
+ * Assigns the work items to team members and sprints.
+ * @param {Array<Object>} workItems - The ordered work items, see orderWorkItems.
+ * @param {Array<Object>} team - The Team records.
+ * @param {{startDate: Date, weeks: number, sprintCount: number}} options - The sprint settings.
+ * @returns {{sprints: Array<Object>, assignments: Array<Object>, unplanned: Array<Object>}}
+ *          The sprints with the capacity and allocated hours of every member, the planned
+ *          work items with sprint, member and status, and the unplanned ones with a reason.
+ */
+function planSprints(workItems, team, options) {
+    const addDays = days => {
+        const date = new Date(options.startDate.getTime());
+        date.setDate(date.getDate() + days);
+        return date;
+    };
+    const members = team.filter(member => member[CONFIG.HEADERS.ROLE]);
+    const sprints = Array.from({ length: options.sprintCount }, (_, index) => ({
+        number: index + 1,
+        start: addDays(index * options.weeks * 7),
+        end: addDays((index + 1) * options.weeks * 7 - 1),
+        members: members.map(member => ({
+            name: member[CONFIG.HEADERS.NAME] || '',
+            role: member[CONFIG.HEADERS.ROLE],
+            capacity: getMemberCapacity(member, options.weeks),
+            allocated: 0
+        }))
+    }));
+    const plan = { sprints: sprints, assignments: [], unplanned: [] };
+    const storySprints = {};
+
+    workItems.forEach(item => {
+        const roleIndexes = sprints.length > 0
+            ? sprints[0].members.map((member, index) => (member.role === item.role ? index : -1)).filter(index => index !== -1)
+            : [];
+        const largest = Math.max(0, ...roleIndexes.map(index => sprints[0].members[index].capacity));
+        let reason = null;
+        if (item.hours <= 0) reason = 'Not estimated';
+        else if (!item.role) reason = 'No role';
+        else if (roleIndexes.length === 0) reason = `No team member with role ${item.role}`;
+        else if (largest <= 0) reason = `No ${item.role} availability`;
+        if (reason) {
+            plan.unplanned.push(Object.assign({ status: SPRINT_STATUS.UNPLANNED, reason: reason }, item));
+            return;
+        }
+
+        // An item larger than a full sprint goes to the first member without other work
+        const oversized = item.hours > largest;
+        for (let sprintIndex = storySprints[item.storyId] || 0; sprintIndex < sprints.length; sprintIndex++) {
+            const member = roleIndexes
+                .map(index => sprints[sprintIndex].members[index])
+                .filter(candidate => candidate.capacity > 0)
+                .sort((first, second) => (second.capacity - second.allocated) - (first.capacity - first.allocated))[0];
+            if (!oversized && member.capacity - member.allocated < item.hours) continue;
+            if (oversized && member.allocated > 0 && sprintIndex < sprints.length - 1) continue;
+
+            member.allocated += item.hours;
+            if (item.storyId) storySprints[item.storyId] = sprintIndex;
+            plan.assignments.push(Object.assign({
+                sprint: sprints[sprintIndex].number,
+                member: member.name,
+                status: member.allocated > member.capacity ? SPRINT_STATUS.OVER_ALLOCATED : SPRINT_STATUS.PLANNED
+            }, item));
+            return;
+        }
+        plan.unplanned.push(Object.assign({
+            status: SPRINT_STATUS.UNPLANNED,
+            reason: `No ${item.role} capacity left within ${sprints.length} sprint(s)`
+        }, item));
+    });
+    return plan;
+}
+
+/**
+ * Writes the plan to the Sprints sheet: the planned and unplanned work items,
+ * then the capacity of every member per sprint. Flagged rows are highlighted.
+ * @param {Object} spreadsheet - The spreadsheet to write to.
+ * @param {Object} plan - The plan, see planSprints.
+ */
+function writeSprintsSheet(spreadsheet, plan) {
+    const sheet = spreadsheet.getSheetByName(SPRINTS_SHEET) || spreadsheet.insertSheet(SPRINTS_SHEET);
+    const width = 10;
+    const pad = row => row.concat(Array(width - row.length).fill(''));
+    const sprintDates = plan.sprints.reduce((dates, sprint) => {
+        dates[sprint.number] = sprint;
+        return dates;
+    }, {});
+
+    const output = [pad(["Sprint", "Start", "End", "Member", "Role", "Epic ID", "Story ID", "Task ID", "Hours", "Status"])];
+    const statuses = [''];
+    plan.assignments.forEach(item => {
+        const sprint = sprintDates[item.sprint];
+        output.push([item.sprint, sprint.start, sprint.end, item.member, item.role, item.epicId, item.storyId, item.taskId, item.hours, item.status]);
+        statuses.push(item.status);
+    });
+    plan.unplanned.forEach(item => {
+        output.push(['', '', '', '', item.role, item.epicId, item.storyId, item.taskId, item.hours, `${item.status}: ${item.reason}`]);
+        statuses.push(item.status);
+    });
+
+    output.push(pad([]), pad(["Sprint", "Member", "Role", "Capacity", "Allocated", "Remaining"]));
+    statuses.push('', '');
+    plan.sprints.forEach(sprint => sprint.members.forEach(member => {
+        output.push(pad([sprint.number, member.name, member.role, member.capacity, member.allocated, member.capacity - member.allocated]));
+        statuses.push(member.allocated > member.capacity ? SPRINT_STATUS.OVER_ALLOCATED : '');
+    }));
+
+    sheet.clear();
+    sheet.getRange(1, 1, output.length, width).setValues(output);
+    sheet.getRange(1, 1, output.length, width).setBackgrounds(statuses.map(status => Array(width).fill(SPRINT_FLAG_COLORS[status] || null)));
+    sheet.setFrozenRows(1);
+}
+
+// Export functions
+this.planSprintsForSpreadsheet = planSprintsForSpreadsheet;
@@ -0,0 +1,59 @@
+/**
+ * Functions specific to the Team sheet.
+ * Reads team members with their roles, hourly rates and availability.
+ * @module TeamModule
+ */
+
+/**
+ * Retrieves the Team sheet as a list of records mapped to headers.
+ * @param {Object} spreadsheet - The active spreadsheet.
+ * @returns {Array<Object>} One record per non-empty team row.
+ */
+function getTeamData(spreadsheet) {
+    try {
+        debugLog('Retrieving Team data');
+        const sheet = spreadsheet.getSheetByName("Team");
+        if (!sheet) throw new Error('Sheet not found: Team');
+        return parseRecordsSheet(sheet.getDataRange().getValues());
+    } catch (error) {
+        Logger.log(`Error in getTeamData: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Handles edits in the Team sheet: refreshes the context cache, the Team sheet being a
+ * context source, and recomputes the estimate costs from the changed rates.
+ * @param {Object} e - The event object from the edit trigger.
+ */
+function handleTeamEdit(e) {
+    try {
+        debugLog('Handling Team sheet edit');
+        handleContextEdit(e);
+        updateEstimateTotals(e.source);
+    } catch (error) {
+        Logger.log(`Error in handleTeamEdit: ${error.message}`);
+    }
+}
+
+/**
+ * Builds a lookup of hourly rates by role.
+ * When several members share a role, the first rate found is used; empty rate cells are skipped.
+ * @param {Array<Object>} team - The Team records.
+ * @returns {Object} Hourly rate per role name.
+ */
+function getRoleRates(team) {
+    return team.reduce((rates, member) => {
+        const role = member[CONFIG.HEADERS.ROLE];
+        const cell = member[CONFIG.HEADERS.HOURLY_RATE];
+        const isEmpty = cell === undefined || cell === null || String(cell).trim() === '';
+        const rate = Number(cell);
+        if (role && !isEmpty && !isNaN(rate) && !(role in rates)) rates[role] = rate;
+        return rates;
+    }, {});
+}
+
+// Export functions
+this.handleTeamEdit = handleTeamEdit;
+this.getTeamData = getTeamData;
+this.getRoleRates = getRoleRates;
@@ -8,6 +8,107 @@ const mockCONFIG = {
   WEBHOOKS: {
     GROOM_EPICS: "https://mock-webhook-url.com"
   },
+  HEADERS: {
+    ACTION: "Action",
+    EPIC_ID: "Epic ID",
+    STORY_ID: "Story ID",
+    TASK_ID: "Task ID",
+    SELECTED: "Selected",
+    ROLE: "Role",
+    HOURS: "Hours",
+    COST: "Cost",
+    HOURLY_RATE: "Hourly Rate",
+    TYPE: "Type",
+    PARENT_ID: "Parent ID",
+    TITLE: "Title",
+    DESCRIPTION: "Description",
+    NAME: "Name",
+    AVAILABILITY: "Availability",
+    PRIORITY: "Priority",
+    DEPENDS_ON: "Depends on"
+  },
+  OPERATIONS: {
+    GROOM_EPICS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "*", "team"], maxTokens: 6000 },
+      schema: {
+        records: "eventData",
+        fields: {
+          "Epic ID": { type: "string" },
+          "Title": { type: "string", required: true, aliases: ["Epic", "Epic Name", "Name"] },
+          "Description": { type: "string", aliases: ["Details"] }
+        }
+      }
+    },
+    GROOM_USER_STORIES_AND_TASKS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "*", "team"], maxTokens: 6000 },
+      schema: {
+        records: "eventData",
+        fields: {
+          "Epic ID": { type: "string", required: true },
+          "Story ID": { type: "string" },
+          "Title": { type: "string", required: true, aliases: ["Story", "User Story", "Name"] },
+          "Description": { type: "string", aliases: ["Details"] }
+        }
+      }
+    },
+    GROOM_SUBTASKS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "team", "*"], maxTokens: 6000 },
+      schema: {
+        records: "eventData",
+        fields: {
+          "Epic ID": { type: "string" },
+          "Story ID": { type: "string", required: true },
+          "Title": { type: "string", required: true, aliases: ["Story", "User Story", "Name"] },
+          "Description": { type: "string", aliases: ["Details"] }
+        }
+      }
+    },
+    ESTIMATE_SUBTASKS: {
+      schemaVersion: "1.1",
+      context: { collections: ["productBrief", "*"], exclude: ["team"], maxTokens: 4000 },
+      schema: {
+        records: "subtasks",
+        fields: {
+          "Task ID": { type: "string", required: true },
+          "Story ID": { type: "string" },
+          "Epic ID": { type: "string" },
+          "Role": { type: "string" },
+          "Hours": { type: "number", aliases: ["Estimate", "Estimated Hours"] }
+        }
+      }
+    },
+  },
+  RESULT_TARGETS: {
+    epics: { sheet: "Epics", key: "Epic ID" },
+    stories: { sheet: "US/Tasks", key: "Story ID", exclude: "Task ID", defaults: { "Type": "Story" } },
+    subtasks: { sheet: "US/Tasks", key: "Task ID", defaults: { "Type": "Subtask" } },
+    estimates: { sheet: "Estimates", key: "Task ID" }
+  },
+  JOB_QUEUE: {
+    ENABLED: false,
+    BATCH_SIZE: 20,
+    MAX_RUNTIME_MS: 270000,
+    KEEP_DAYS: 7
+  },
+  OUTBOX: {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MINUTES: 1,
+    MAX_RUNTIME_MS: 270000
+  },
+  SPRINTS: {
+    LENGTH_WEEKS: 2,
+    HOURS_PER_WEEK: 40,
+    COUNT: 2
+  },
+  TIMELINE: {
+    MAX_DAYS: 130,
+    DEBOUNCE_SECONDS: 60
+  },
+  CONTEXT_CACHE_SECONDS: 21600,
+  SIGNATURE_TOLERANCE_SECONDS: 300,
   DEBUG: true
 };
 
@@ -28,6 +129,7 @@ this.debugLog = mockDebugLog;
 
 function runTests() {
   testCreateContextJSON();
+  testParseContextSheet();
   testCreateEpicsJSON();
 }
 
@@ -96,6 +198,44 @@ function testCreateContextJSON() {
   }
 }
 
+function testParseContextSheet() {
+  const header = ["Header A", "Header B", "Header C", "Header D", "Header E", "Header F", "Header G", "Header H", "Header I", "Header J"];
+  const result = parseContextSheet([
+    header,
+    ["team", "", "", "roles[0].name", "", "", "Developer"],
+    ["team", "", "", "roles[0].rate", "", "", "50", "", "", "number"],
+    ["team", "", "", "roles[1].name", "", "", "Designer"],
+    ["", "", "", "goal", "", "", "Launch"],
+    ["", "", "", "goal", "", "", "Grow"],
+    ["", "", "", "stack", "", "", "GAS, make.com", "", "", "list"],
+    ["", "", "", "notes", "", "", "# Title", "", "", "markdown"],
+    ["", "", "", "budget", "", "", "a lot", "", "", "number"],
+    ["", "", "", "settings", "", "", "{broken", "", "", "json"],
+    ["", "", "", "team.roles", "", "", "flat", "", "", ""],
+    ["", "", "", "size", "", "", "3", "", "", "weight"]
+  ]);
+
+  assertEqual(isEquivalent(result.json, {
+    team: { roles: [{ name: "Developer", rate: 50 }, { name: "Designer" }] },
+    goal: ["Launch", "Grow"],
+    stack: ["GAS", "make.com"],
+    notes: "# Title"
+  }), true, "Context dot paths, arrays and types");
+  assertEqual(result.errors.map(error => error.row).join(','), '9,10,11,12', "Context row errors reported with sheet rows");
+
+  const notes = [["Context error: old"], ["Owner: Ana"], [""]];
+  const written = [];
+  const sheet = {
+    getLastRow: () => 4,
+    getRange: () => ({
+      getNotes: () => notes,
+      getCell: row => ({ setNote: note => written.push(`${row + 1}=${note}`) })
+    })
+  };
+  reportContextErrors(sheet, [{ row: 4, message: "bad" }]);
+  assertDeepEqual(written, ["2=", "4=Context error: bad"], "Only context error notes are written, other notes kept");
+}
+
 function isEquivalent(a, b) {
   // Check if the arguments are of the same type
   if (typeof a !== typeof b) {
@@ -203,25 +343,112 @@ function testConfigFunctions() {
   Logger.log = originalLog;
 }
 
+function testResolveSetting() {
+  const layers = [
+    { 'WEBHOOK_GROOM_EPICS': 'https://document.example' },
+    { 'WEBHOOK_GROOM_EPICS': 'https://script.example', 'DEBUG': 'true' },
+    { 'DEBUG': 'false', 'WEBHOOK_GROOM_SUBTASKS': '' }
+  ];
+  assertEqual(resolveSetting('WEBHOOK_GROOM_EPICS', layers, null), 'https://document.example', "Document properties win");
+  assertEqual(resolveSetting('DEBUG', layers, false), 'true', "Script properties before Settings sheet");
+  assertEqual(resolveSetting('WEBHOOK_GROOM_SUBTASKS', layers, 'fallback'), 'fallback', "Empty values fall back to the default");
+  assertEqual(resolveSetting('MISSING', layers, null), null, "Missing setting returns the default");
+}
+
+function testCheckSignature() {
+  const body = '{"type":"epics"}';
+  const now = 1700000000;
+  const signed = { signature: computeSignature('secret', now, 'nonce-1', body), timestamp: String(now), nonce: 'nonce-1' };
+  assertEqual(checkSignature('secret', body, signed, now + 10), null, "Valid signature accepted");
+  assertEqual(checkSignature('other', body, signed, now), 'Invalid signature', "Wrong secret rejected");
+  assertEqual(checkSignature('secret', body + ' ', signed, now), 'Invalid signature', "Tampered body rejected");
+  assertEqual(checkSignature('secret', body, signed, now + 301), 'Timestamp outside the allowed window', "Expired timestamp rejected");
+  assertEqual(checkSignature('secret', body, { timestamp: String(now) }, now), 'Missing signature, timestamp or nonce', "Unsigned request rejected");
+}
+
+function testLlmHelpers() {
+  const rendered = renderPromptTemplate('Groom {{ eventData.Title }} for {{context}}{{missing.key}}', {
+    eventData: { Title: 'Checkout' },
+    context: { goal: 'Launch' }
+  });
+  assertEqual(rendered, 'Groom Checkout for {\n  "goal": "Launch"\n}', "Prompt template placeholders rendered");
+
+  const body = JSON.stringify({ choices: [{ message: { content: '```json\n{"rows": [{"Story ID": "S1"}]}\n```' } }] });
+  const rows = parseLlmRows(body);
+  assertEqual(rows.length === 1 && rows[0]['Story ID'], 'S1', "LLM rows parsed from a fenced answer");
+
+  const split = splitLlmEnvelope({
+    operation: 'GROOM_EPICS', source: { sheet: 'Epics', row: 4 }, context: { goal: 'Launch' },
+    items: [
+      { row_id: 4, record_id: 'EP-001', eventData: { Title: 'Checkout' } },
+      { row_id: 7, record_id: 'EP-002', eventData: { Title: 'Search' } }
+    ]
+  });
+  assertEqual(split.map(envelope => `${envelope.source.row}:${envelope.record_id}:${envelope.eventData.Title}`).join(','),
+    '4:EP-001:Checkout,7:EP-002:Search', "Batched LLM request split per item with its own row and record");
+  assertEqual(split[1].items === undefined && split[1].context.goal, 'Launch', "Split LLM request keeps the shared context");
+}
+
+function testGetJobOutcome() {
+  assertEqual(getJobOutcome([{ row_id: 3, status: 'sent' }]).ok, true, "Job with sent rows is done");
+  const failedRows = getJobOutcome([{ row_id: 3, status: 'sent' }, { row_id: 4, status: 'failed', error: 'Timeout' }]);
+  assertEqual(failedRows.message, 'Rows 4 failed: Timeout', "Job with a failed row reports it");
+  assertEqual(getJobOutcome({ ok: false, error: 'Webhook URL not found' }).ok, false, "Job with failed delivery fails");
+  assertEqual(getJobOutcome(undefined).ok, true, "Job without anything to send is done");
+
+  const records = [
+    { "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-02" },
+    { "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-01" },
+    { "Type": "Subtask", "Story ID": "US-001-01", "Task ID": "ST-001-01-01" },
+    { "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-03" }
+  ];
+  assertDeepEqual(findRecordRows("US/Tasks", records, ["US-001-01", "ST-001-01-01", "US-001-03"]), [3, 4, 5],
+    "Job rows found by ID after sorting");
+  assertDeepEqual(groupAdjacentRows([3, 4, 7]), [{ row: 3, rows: 2 }, { row: 7, rows: 1 }], "Job rows grouped into adjacent blocks");
+
+  const now = new Date('2024-01-10T00:00:00Z');
+  const jobs = [
+    { rowNumber: 2, job: { Status: 'Done', Updated: new Date('2024-01-01T00:00:00Z') } },
+    { rowNumber: 3, job: { Status: 'Queued', Updated: new Date('2024-01-01T00:00:00Z') } },
+    { rowNumber: 4, job: { Status: 'Failed', Updated: new Date('2024-01-09T00:00:00Z') } }
+  ];
+  assertDeepEqual(findExpiredJobs(jobs, now), [2], "Only old finished jobs are pruned");
+}
+
+function testIdempotency() {
+  const key = getIdempotencyKey('GROOM_EPICS', 'Epics', 4, { 'Title': 'Checkout' });
+  assertEqual(key, getIdempotencyKey('GROOM_EPICS', 'Epics', 4, { 'Title': 'Checkout' }), "Same request gives the same key");
+  assertEqual(key === getIdempotencyKey('GROOM_EPICS', 'Epics', 5, { 'Title': 'Checkout' }), false, "Other row gives another key");
+  assertEqual(key === getIdempotencyKey('GROOM_EPICS', 'Epics', 4, { 'Title': 'Payments' }), false, "Edited content gives another key");
+
+  assertEqual(getDeliveryStatus({ ok: true }), 'sent', "Delivered request status");
+  assertEqual(getDeliveryStatus({ ok: false, duplicate: true }), 'duplicate', "Duplicate request status");
+  assertEqual(getJobOutcome({ ok: false, duplicate: true }).ok, true, "Duplicate job is not a failure");
+  assertEqual(getDeliveryStatus({ ok: true, results: [] }), 'groomed', "Request written back directly is groomed");
+  assertEqual(DELIVERY_ACTION_STATUS[getDeliveryStatus({ ok: false })], 'Failed', "Failed request action status");
+  assertEqual(getDeliveryStatus({ ok: true, dryRun: true }), 'dry-run', "Dry-run request status");
+  assertEqual(getDeliveryStatus({ ok: false, dryRun: true }), 'failed', "Invalid dry-run request status");
+}
+
 function testEpicsFunctions() {
-    testIsExtractTodoSummariesTrigger();
+    testFindTrigger();
     testGetEventRowData();
     testGetContextData();
     // testCreateEpicsJSON is already implemented
 }
 
-function testIsExtractTodoSummariesTrigger() {
-    // Mock range object
-    const mockRange = {
-        getColumn: () => 10,
-        getValue: () => "Groom EPIC"
-    };
-    
-    const result = isExtractTodoSummariesTrigger(mockRange);
-    Logger.log('Test Case - isExtractTodoSummariesTrigger:');
-    Logger.log('Result: ' + result);
-    Logger.log('Expected: true');
-    Logger.log('Test ' + (result === true ? 'PASSED' : 'FAILED'));
+function testFindTrigger() {
+    const triggers = [
+        { sheet: "Context", handler: "handleContextEdit" },
+        { sheet: "Epics", header: "Action", value: "Groom EPIC", operation: "GROOM_EPICS", handler: "handleEpicsEdit" }
+    ];
+
+    const epicTrigger = findTrigger(triggers, "Epics", "Action", "Groom EPIC");
+    assertEqual(epicTrigger && epicTrigger.operation, "GROOM_EPICS", "Trigger matches sheet, header and value");
+    assertEqual(findTrigger(triggers, "Epics", "Title", "Groom EPIC"), null, "Trigger value in another column");
+    assertEqual(findTrigger(triggers, "Epics", "Action", "Done"), null, "Other value in the trigger column");
+    const contextTrigger = findTrigger(triggers, "Context", "Value", "anything");
+    assertEqual(contextTrigger && contextTrigger.handler, "handleContextEdit", "Sheet-wide trigger matches any edit");
 }
 
 function testGetEventRowData() {
@@ -236,12 +463,600 @@ function testGetContextData() {
     Logger.log('Test Case - getContextData: Requires manual testing or advanced mocking');
 }
 
+/**
+ * Test suite for webhook dispatch.
+ */
+
+function testBuildWebhookEnvelope() {
+  const payload = { eventData: { Title: 'Epic' }, sheet_name_id: 'Epics', row_id: 4 };
+  const envelope = buildWebhookEnvelope('GROOM_EPICS', payload);
+  assertEqual(envelope.operation, 'GROOM_EPICS', "Envelope operation");
+  assertEqual(envelope.schema_version, mockCONFIG.OPERATIONS.GROOM_EPICS.schemaVersion, "Envelope schema version of the operation");
+  assertEqual(envelope.schema_version, '1.1', "Envelope schema version configured");
+  assertEqual(envelope.source.sheet, 'Epics', "Envelope source sheet falls back to payload");
+  assertEqual(envelope.source.row, 4, "Envelope source row falls back to payload");
+  assertDeepEqual(envelope.eventData, payload.eventData, "Envelope keeps payload keys");
+
+  const explicit = buildWebhookEnvelope('GROOM_SUBTASKS', {}, { sheet: 'US/Tasks', row: 7 });
+  assertEqual(explicit.source.sheet, 'US/Tasks', "Envelope explicit source sheet");
+  assertEqual(explicit.source.row, 7, "Envelope explicit source row");
+
+  const clashing = buildWebhookEnvelope('GROOM_EPICS', { operation: 'OTHER', schema_version: '0.1', source: { sheet: 'X' }, row_id: 4 },
+    { sheet: 'Epics', row: 4 });
+  assertEqual(`${clashing.operation} ${clashing.schema_version} ${clashing.source.sheet}`, 'GROOM_EPICS 1.1 Epics',
+    "Envelope fields win over payload keys");
+}
+
+/**
+ * Test suite for the US/Tasks sheet.
+ */
+
+function testUsTasksFunctions() {
+  const result = createUsTasksJSON({ 'Title': 'Story' }, { 'Epic ID': 'EP-1', 'Notes': '' }, { 'Key': 'Value' });
+  assertDeepEqual(result, {
+    context: { 'Key': 'Value' },
+    eventData: { 'Title': 'Story' },
+    epic: { 'Epic ID': 'EP-1' }
+  }, "createUsTasksJSON result");
+
+  const batch = createUsTasksBatchJSON([
+    { rowId: 2, data: { 'Title': 'First', 'Epic ID': 'EP-1' } },
+    { rowId: 3, data: { 'Title': 'Second', 'Epic ID': 'EP-2' } }
+  ], epicId => ({ 'Epic ID': epicId, 'Notes': '' }), { 'Key': 'Value' });
+  assertEqual(batch.items.length, 2, "US/Tasks batch has one item per row");
+  assertDeepEqual(batch.items[1].epic, { 'Epic ID': 'EP-2' }, "US/Tasks batch item carries its parent epic");
+  assertEqual(batch.items[1].row_id, 3, "US/Tasks batch item row");
+
+  const storyTrigger = { sheet: "US/Tasks", header: "Action", value: "Groom Story", operation: "GROOM_USER_STORIES_AND_TASKS" };
+  const subtasksTrigger = { sheet: "US/Tasks", header: "Action", value: "Groom Subtasks", operation: "GROOM_SUBTASKS" };
+  const sheet = {
+    getLastColumn: () => 3,
+    getRange: (row, column, rows) => ({
+      getValues: () => (row === 1 ? [["Story ID", "Action", "Title"]]
+        : [["US-1", "Groom Story", "A"], ["US-2", "Queued", "B"], ["US-3", "Queued", "C"]]),
+      getNotes: () => [[""], [getQueuedNote(subtasksTrigger)], [getQueuedNote(storyTrigger)]]
+    })
+  };
+  const range = { getRow: () => 2, getNumRows: () => 3 };
+  assertEqual(getTriggeredRows(sheet, range, storyTrigger).map(row => row.rowId).join(','), '2,4',
+    "Rows queued for another trigger of the action column left out");
+  assertEqual(getTriggeredRows(sheet, range, subtasksTrigger).map(row => row.rowId).join(','), '3',
+    "Rows queued for the trigger picked up");
+}
+
+/**
+ * Test suite for the Estimates sheet.
+ */
+
+function testEstimateRollups() {
+  const rates = getRoleRates([
+    { 'Name': 'Ann', 'Role': 'Developer', 'Hourly Rate': 50 },
+    { 'Name': 'Bob', 'Role': 'Designer', 'Hourly Rate': '40' },
+    { 'Name': 'Cid', 'Role': 'Tester', 'Hourly Rate': '' },
+    { 'Name': 'Dee', 'Role': 'Tester', 'Hourly Rate': 35 }
+  ]);
+  assertDeepEqual(rates, { 'Developer': 50, 'Designer': 40, 'Tester': 35 }, "Role rates from Team records, empty rates skipped");
+
+  const rollups = computeEstimateRollups([
+    { 'Task ID': 'T1', 'Story ID': 'S1', 'Epic ID': 'E1', 'Role': 'Developer', 'Hours': 4 },
+    { 'Task ID': 'T2', 'Story ID': 'S1', 'Epic ID': 'E1', 'Role': 'Designer', 'Hours': 2 },
+    { 'Task ID': 'T3', 'Story ID': 'S2', 'Epic ID': 'E1', 'Role': 'Unknown', 'Hours': 3 }
+  ], rates);
+  assertDeepEqual(rollups.rowCosts, [200, 80, 0], "Cost per estimate row");
+  assertDeepEqual(rollups.stories.S1, { hours: 6, cost: 280 }, "Story totals");
+  assertDeepEqual(rollups.epics.E1, { hours: 9, cost: 280 }, "Epic totals");
+
+  const costWrites = [];
+  const sheets = {
+    "Estimates": {
+      getDataRange: () => ({ getValues: () => [
+        ["Task ID", "Role", "Hours", "Cost"],
+        ["T1", "Developer", 4, 0],
+        ["T2", "Developer", 2, 100],
+        ["T3", "Unknown", 3, "=C4*70"],
+        ["T4", "Developer", "", 90]
+      ] }),
+      getRange: (row, column) => ({ setValue: value => costWrites.push(`${row},${column}=${value}`) })
+    },
+    "Team": { getDataRange: () => ({ getValues: () => [["Name", "Role", "Hourly Rate"], ["Ann", "Developer", 50]] }) },
+    [ESTIMATE_TOTALS_SHEET]: { clearContents: () => {}, getRange: () => ({ setValues: () => {} }) }
+  };
+  updateEstimateTotals({ getSheetByName: name => sheets[name] || null });
+  assertDeepEqual(costWrites, ["2,4=200"], "Only changed costs of rated rows written, other cost cells kept");
+}
+
+/**
+ * Test suite for the inbound web app endpoint.
+ */
+
+function testValidateResultsPayload() {
+  const valid = { gsheet_id: 'sheet-1', sheet_name_id: 'Epics', row_id: 5, type: 'stories', rows: [{ 'Story ID': 'S1' }] };
+  assertEqual(validateResultsPayload(valid, 'sheet-1').length, 0, "Valid results payload");
+
+  const errors = validateResultsPayload({ gsheet_id: 'other', row_id: 1, type: 'unknown', rows: ['x'] }, 'sheet-1');
+  assertEqual(errors.length, 4, "Invalid results payload reports every problem");
+  assertEqual(validateResultsPayload({ gsheet_id: 'sheet-1', type: 'epics', rows: [] }, 'sheet-1')[0],
+    'rows must be a non-empty array', "Empty rows are rejected");
+}
+
+/**
+ * Test suite for the outbox.
+ */
+
+function testOutboxRetryState() {
+  const now = new Date('2024-01-01T00:00:00Z');
+  const first = getOutboxRetryState(1, now);
+  assertEqual(first.status, 'Pending', "Outbox entry stays pending after first attempt");
+  assertEqual(first.nextAttempt.getTime() - now.getTime(), 60000, "First retry after base delay");
+  const second = getOutboxRetryState(2, now);
+  assertEqual(second.nextAttempt.getTime() - now.getTime(), 120000, "Retry delay doubles");
+  const last = getOutboxRetryState(3, now);
+  assertEqual(last.status, 'Dead Letter', "Outbox entry is dead letter at the retry limit");
+  assertEqual(last.nextAttempt, null, "Dead letter has no next attempt");
+
+  const envelope = { context: { text: 'x'.repeat(100000) }, payload: { row_id: 2 } };
+  const chunks = splitOutboxPayload(JSON.stringify(envelope));
+  assertEqual(chunks.length, 3, "Large outbox payload split into cell sized chunks");
+  assertEqual(chunks.every(chunk => chunk.length <= 45000), true, "Outbox chunks fit a cell");
+  const row = ['id', 'GROOM_EPICS', 'Pending', 1, '', '', ''].concat(chunks, ['']);
+  assertDeepEqual(readOutboxPayload(row), envelope, "Outbox payload joined from its chunks");
+  assertEqual(splitOutboxPayload('').length, 1, "Empty payload kept in one cell");
+}
+
+/**
+ * Test suite for batched Epics edits.
+ */
+
+function testEpicsBatch() {
+  const rows = [
+    { rowId: 3, data: { 'Title': 'First', 'Notes': '' } },
+    { rowId: 4, data: { 'Title': 'Second' } },
+    { rowId: 5, data: { 'Title': 'Third' } }
+  ];
+  const result = createEpicsBatchJSON(rows, { 'Key': 'Value' });
+  assertDeepEqual(result, {
+    context: { 'Key': 'Value' },
+    items: [
+      { row_id: 3, eventData: { 'Title': 'First' } },
+      { row_id: 4, eventData: { 'Title': 'Second' } },
+      { row_id: 5, eventData: { 'Title': 'Third' } }
+    ]
+  }, "createEpicsBatchJSON result");
+  assertEqual(result.items[0].eventData.Notes, undefined, "Batch items exclude empty values");
+  assertEqual(result.items[2].eventData.Title, 'Third', "Batch items keep row data");
+
+  const e = {
+    source: { getId: () => 'sheet-id' },
+    range: { getSheet: () => ({ getName: () => 'US/Tasks' }), getRow: () => 3 },
+    user: { getEmail: () => 'pm@example.com' }
+  };
+  const story = { 'Type': 'Story', 'Epic ID': 'EP-001', 'Story ID': 'US-001-01', 'Title': 'Pay' };
+  const linked = createEpicsBatchJSON([{ rowId: 3, data: story }], null, e);
+  assertEqual(`${linked.items[0].record_id} ${linked.items[0].parent_id}`, 'US-001-01 EP-001', "Batch items carry their record and parent IDs");
+  assertEqual(linked.items[0].parent_id, createEpicsJSON(story, null, e).parent_id, "Batch items linked like single-row payloads");
+
+  const chunks = chunkArray(rows, 2);
+  assertEqual(chunks.length, 2, "Rows split into chunks");
+  assertEqual(chunks[1][0].rowId, 5, "Chunks keep row order");
+}
+
+/**
+ * Test suite for context caching.
+ */
+
+function createMockCache() {
+  const store = {};
+  return {
+    store: store,
+    get: (key) => (key in store ? store[key] : null),
+    getAll: (keys) => keys.reduce((found, key) => {
+      if (key in store) found[key] = store[key];
+      return found;
+    }, {}),
+    putAll: (entries) => Object.assign(store, entries)
+  };
+}
+
+function testChunkedCache() {
+  const cache = createMockCache();
+  const large = { text: 'x'.repeat(CACHE_CHUNK_SIZE * 2 + 10) };
+  putChunkedCache(cache, 'context', large, 60);
+  assertEqual(JSON.parse(cache.store.context).chunks, 3, "Large value split into chunks");
+  const restored = getChunkedCache(cache, 'context');
+  assertEqual(restored && restored.text.length, large.text.length, "Chunked value restored");
+
+  delete cache.store.context_1;
+  assertEqual(getChunkedCache(cache, 'context'), null, "Incomplete chunked value is a cache miss");
+  assertEqual(getChunkedCache(cache, 'missing'), null, "Missing value is a cache miss");
+
+  const before = computeContentHash([["Key", "Value"]]);
+  const after = computeContentHash([["Key", "Edited"]]);
+  assertEqual(before === after, false, "Edited content changes the hash");
+  assertEqual(before, computeContentHash([["Key", "Value"]]), "Same content gives the same hash");
+
+  const sources = data => [{ source: { sheet: "Context" }, data: data }];
+  assertEqual(computeContextHash(sources([["Key", "Value"]])) === computeContextHash(sources([["Key", "Edited"]])), false,
+    "Edited context sheet changes the context hash");
+  assertEqual(getCacheKey({ getId: () => "sheet-1" }, "abc"), "contextData_sheet-1_abc", "Context cache key uses the stored hash");
+}
+
+function testAssembleContext() {
+  const result = assembleContext([
+    {
+      source: { sheet: "Context", parser: "context" },
+      data: [["A", "B", "C", "D", "E", "F", "G"], ["", "", "", "Goal", "", "", "Launch"]]
+    },
+    {
+      source: { sheet: "ProductBrief", namespace: "productBrief", parser: "keyValue" },
+      data: [["Key", "Value"], ["Name", "Planner"], ["Budget", "5000"], ["", "ignored"]]
+    },
+    {
+      source: { sheet: "Team", namespace: "team", parser: "records" },
+      data: [["Name", "Role"], ["Ann", "Developer"], ["", ""]]
+    }
+  ]);
+  assertEqual(result.Goal, "Launch", "Context sheet merged at the root");
+  assertEqual(result.productBrief.Name, "Planner", "ProductBrief parsed as key/value");
+  assertEqual(result.productBrief.Budget, 5000, "ProductBrief values parsed");
+  assertEqual(Object.keys(result.productBrief).length, 2, "ProductBrief skips rows without key");
+  assertEqual(result.team.length, 1, "Team parsed as records, skipping empty rows");
+  assertEqual(result.team[0].Role, "Developer", "Team record keyed by header");
+}
+
+function testHierarchyIds() {
+  const epics = [
+    { "Epic ID": "EP-001", "Title": "Checkout" },
+    { "Epic ID": "", "Title": "Payments" },
+    { "Epic ID": "", "Title": "" }
+  ];
+  const epicUpdates = assignHierarchyIds("Epics", epics, [1, 2]);
+  assertEqual(epicUpdates.length, 1, "Blank epic row gets no ID");
+  assertEqual(epics[1]["Epic ID"], "EP-002", "New epic continues after the highest ID");
+
+  const items = [
+    { "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-01", "Task ID": "", "Parent ID": "", "Title": "Pay" },
+    { "Type": "Story", "Epic ID": "EP-001", "Story ID": "", "Task ID": "", "Parent ID": "", "Title": "Refund" },
+    { "Type": "Subtask", "Epic ID": "", "Story ID": "US-001-01", "Task ID": "", "Parent ID": "", "Title": "API" },
+    { "Type": "Subtask", "Epic ID": "", "Story ID": "US-001-01", "Task ID": "", "Parent ID": "", "Title": "UI" },
+    { "Type": "Story", "Epic ID": "", "Story ID": "", "Task ID": "", "Parent ID": "", "Title": "Unlinked" }
+  ];
+  assignHierarchyIds("US/Tasks", items, [1, 2, 3, 4]);
+  assertEqual(items[1]["Story ID"], "US-001-02", "Story numbered under its epic");
+  assertEqual(items[1]["Parent ID"], "EP-001", "Story parent is its epic");
+  assertEqual(items[2]["Task ID"], "ST-001-01-01", "Subtask numbered under its story");
+  assertEqual(items[3]["Task ID"], "ST-001-01-02", "Next subtask sees the ID just assigned");
+  assertEqual(items[2]["Epic ID"], "EP-001", "Subtask epic derived from its story");
+  assertEqual(items[2]["Parent ID"], "US-001-01", "Subtask parent is its story");
+  assertEqual(items[4]["Story ID"], "", "Story without epic gets no ID");
+  assertEqual(needsHierarchyId("US/Tasks", items[0]), false, "Row with an ID needs no new ID");
+  assertEqual(needsHierarchyId("US/Tasks", items[4]), false, "Row without parent needs no new ID yet");
+  assertEqual(needsHierarchyId("Epics", { "Epic ID": "", "Title": "New" }), true, "Row without ID needs a new ID");
+
+  assertEqual(getRecordIdentity("US/Tasks", items[2]).parentId, "US-001-01", "Subtask identity");
+  assertEqual(getRecordIdentity("Estimates", items[2]).id, null, "No identity outside the hierarchy sheets");
+
+  items.push({ "Type": "Story", "Epic ID": "EP-009", "Story ID": "US-001-02", "Task ID": "", "Parent ID": "", "Title": "Copy" });
+  const issues = findHierarchyIssues(epics, items).map(issue => `${issue.sheet} ${issue.row}: ${issue.message}`);
+  assertDeepEqual(issues, [
+    "US/Tasks 6: Missing story ID",
+    "US/Tasks 7: Duplicate ID US-001-02, also in row 3",
+    "US/Tasks 6: Missing parent epic ID",
+    "US/Tasks 7: Orphaned story: epic EP-009 not found"
+  ], "Hierarchy issues found");
+
+  const record = getResultRecord({ type: "subtasks", parent_id: "US-001-01" }, { "Title": "Tests" });
+  assertEqual(record["Story ID"], "US-001-01", "Result subtask linked to the parent of the payload");
+  assertEqual(record["Type"], "Subtask", "Result subtask gets the target defaults");
+}
+
+function testUpsertRecord() {
+  const writes = [];
+  const sheet = {
+    getName: () => "Epics",
+    getDataRange: () => { throw new Error('Sheet read again'); },
+    getRange: (row, column) => ({ setValue: value => writes.push(`${row},${column}=${value}`) })
+  };
+  const data = [["Epic ID", "Title", "Cost"], ["EP-001", "Checkout", 120]];
+  const updated = upsertRecord(sheet, "Epic ID", { "Epic ID": "EP-001", "Title": "Pay" }, null, { data: data });
+  assertEqual(updated.row, 2, "Result updates the matching row");
+  assertDeepEqual(writes, ["2,1=EP-001", "2,2=Pay"], "Only the result columns are written, formulas kept");
+  const first = upsertRecord(sheet, "Epic ID", { "Epic ID": "EP-002" }, null, { data: data });
+  const second = upsertRecord(sheet, "Epic ID", { "Epic ID": "EP-003" }, null, { data: data });
+  assertEqual(first.row === 3 && second.row === 4, true, "Appended results land on separate rows");
+  assertEqual(upsertRecord(sheet, "Epic ID", { "Epic ID": "EP-002", "Title": "Again" }, null, { data: data }).row, 3,
+    "Appended result matched by the next record");
+}
+
+function testPayloadSchema() {
+  const schema = {
+    records: "eventData",
+    fields: {
+      "Title": { type: "string", required: true, aliases: ["Epic Name"] },
+      "Epic ID": { type: "string", required: true },
+      "Hours": { type: "number" }
+    }
+  };
+  const record = { " epic name ": "Checkout", "Epic ID": 12, "Hours": "8", "Notes": "kept" };
+  normalizeRecord(schema.fields, record);
+  assertEqual(record["Title"], "Checkout", "Alias header renamed to the canonical field");
+  assertEqual(record[" epic name "], undefined, "Alias key removed");
+  assertEqual(record["Epic ID"], "12", "Number converted to string");
+  assertEqual(record["Hours"], 8, "Numeric text converted to number");
+  assertEqual(record["Notes"], "kept", "Fields outside the schema are kept");
+  assertDeepEqual(validateRecord(schema.fields, record), [], "Normalized record is valid");
+
+  assertDeepEqual(validateRecord(schema.fields, { "Title": "", "Hours": "many" }),
+    ["missing Title, Epic ID", "Hours must be a number"], "Missing and invalid fields listed");
+
+  const batch = { items: [{ row_id: 3, eventData: { "Title": "A" } }, { row_id: 4, eventData: {} }] };
+  const records = getSchemaRecords(schema, batch);
+  assertEqual(records.length, 2, "Batch items are schema records");
+  assertEqual(records[1].label, "row 4", "Batch record labelled with its row");
+  assertEqual(getSchemaRecords({ records: "subtasks", fields: {} }, { subtasks: [{ row_id: 7 }] })[0].label, "row 7", "Array records labelled with their row");
+
+  assertEqual(convertFieldValue("TRUE", "boolean").value, true, "Boolean text converted");
+  assertEqual(convertFieldValue({}, "string").ok, false, "Object is not a string");
+  assertDeepEqual(validatePayloadSchema('UNKNOWN', {}), [], "Operation without schema is not validated");
+}
+
+function testSelectContext() {
+  const context = {
+    Goals: { Launch: "Q3" },
+    productBrief: { Name: "Planner", Vision: "x".repeat(400) },
+    team: [{ Name: "Ann" }, { Name: "Bob" }]
+  };
+  const all = selectContext(context, {});
+  assertDeepEqual(all.meta.included, ["Goals", "productBrief", "team"], "Every collection sent without settings");
+
+  const selected = selectContext(context, { collections: ["team", "*"], exclude: ["productBrief"] });
+  assertDeepEqual(selected.meta.included, ["team", "Goals"], "Collections sent by priority, excluded ones left out");
+  assertEqual(selected.meta.omitted[0].reason, "not selected", "Excluded collection reported");
+
+  const budgeted = selectContext(context, { collections: ["Goals", "team", "productBrief"], maxTokens: 30 });
+  assertDeepEqual(budgeted.meta.included, ["Goals", "team", "productBrief"], "Collections over budget truncated");
+  assertDeepEqual(budgeted.meta.truncated, ["productBrief"], "Truncated collection reported");
+  assertEqual(budgeted.context.productBrief.Name, "Planner", "Truncated object keeps the keys that fit");
+  assertEqual(budgeted.context.productBrief.Vision, undefined, "Truncated object drops the keys that do not fit");
+  assertEqual(budgeted.meta.tokens <= 30, true, "Selected context within budget");
+
+  const tight = selectContext(context, { collections: ["productBrief", "team"], maxTokens: 5 });
+  assertEqual(tight.meta.omitted.some(item => item.name === "team" && item.reason === "budget"), true, "Collection without room left out");
+  assertEqual(truncateContextValue("abcdefghij", 2), "abcde…", "Text cut to the budget");
+  assertDeepEqual(truncateContextValue([1, 2, 3], 1), [1], "List keeps its leading items");
+}
+
+function testHistory() {
+  assertDeepEqual(diffRecords({ "Title": "Old", "Notes": "n" }, { "Title": "New", "Notes": "n", "Hours": 3 }), [
+    { field: "Title", before: "Old", after: "New" },
+    { field: "Hours", before: "", after: 3 }
+  ], "Changed fields listed");
+  assertEqual(diffRecords({}, { "Title": "" }).length, 0, "Empty field of an appended row is no change");
+  assertEqual(isSameCellValue(new Date("2024-01-02T00:00:00.000Z"), "2024-01-02T00:00:00.000Z"), true, "Date equals its JSON string");
+  assertEqual(isSameCellValue("2024-01-02", new Date("2024-01-02T00:00:00.000Z"), "UTC"), true, "Date equals its day as written to the sheet");
+  assertEqual(isSameCellValue(new Date("2024-01-02T00:00:00.000Z"), "2024-01-03", "UTC"), false, "Date differs from another day");
+
+  const entries = [
+    { changeId: "a", sheet: "Epics", row: 4, key: "Epic ID", recordId: "EP-001", status: "Applied" },
+    { changeId: "b", sheet: "Epics", row: 5, key: "Epic ID", recordId: "EP-001", status: "Applied" },
+    { changeId: "c", sheet: "Epics", row: 6, key: "Epic ID", recordId: "", status: "Applied" },
+    { changeId: "d", sheet: "Epics", row: 5, key: "Epic ID", recordId: "EP-001", status: "Reverted" }
+  ];
+  const latest = findLatestHistoryEntry(entries, "Epics", 9, { "Epic ID": "EP-001" });
+  assertEqual(latest && latest.changeId, "b", "Latest applied entry found by record ID after the row moved");
+  const byRow = findLatestHistoryEntry(entries, "Epics", 6, { "Epic ID": "" });
+  assertEqual(byRow && byRow.changeId, "c", "Entry without record ID found by row");
+
+  const headers = ["Epic ID", "Title"];
+  const rows = [["EP-002", "B"], ["EP-001", "A"]];
+  assertEqual(locateHistoryRow(headers, rows, entries[0]), 3, "Moved row located by record ID");
+  assertEqual(locateHistoryRow(headers, rows, { key: "Epic ID", recordId: "EP-009", row: 2 }), 0, "Deleted row not located");
+
+  const flagged = [];
+  const historySheet = {
+    getDataRange: () => ({ getValues: () => [
+      ["Change ID"],
+      ["a", "", "", "Epics", 2, "Epic ID", "EP-001", "", '{"Title":"A"}', "Applied"],
+      ["b", "", "", "Epics", 3, "Epic ID", "EP-002", '{"Title":', '{"Title":"B"}', "Applied"]
+    ] }),
+    getRange: row => ({ setValue: value => ({ setNote: note => flagged.push(`${row}=${value}:${note.split(':')[0]}`) }) })
+  };
+  const history = readHistory({ getSheetByName: () => historySheet });
+  assertEqual(history.map(entry => `${entry.changeId}:${entry.status}`).join(","), "a:Applied,b:Unreadable",
+    "Unreadable history entry flagged, the others still read");
+  assertDeepEqual(flagged, ["3=Unreadable:Unreadable version"], "Unreadable history entry marked in the sheet");
+}
+
+function testProjectExport() {
+  const tree = buildProjectTree(
+    [{ "Epic ID": "EP-001", "Title": "Checkout", "Description": "Pay, then ship" }],
+    [
+      { "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-01", "Task ID": "", "Title": "Pay" },
+      { "Type": "Subtask", "Epic ID": "EP-001", "Story ID": "US-001-01", "Task ID": "ST-001-01-01", "Title": "API" },
+      { "Type": "Story", "Epic ID": "EP-009", "Story ID": "US-009-01", "Task ID": "", "Title": "Lost" }
+    ],
+    [{ "Task ID": "ST-001-01-01", "Story ID": "US-001-01", "Epic ID": "EP-001", "Role": "Developer", "Hours": 2 }],
+    { "Developer": 50 }
+  );
+  assertEqual(tree.epics[0].children[0].children[0].id, "ST-001-01-01", "Subtask linked under its story and epic");
+  assertEqual(tree.epics[0].hours, 2, "Epic hours rolled up");
+  assertEqual(tree.unlinked[0].id, "US-009-01", "Story without epic kept as unlinked");
+
+  const aliased = buildProjectTree([{ "Epic ID": "EP-001", "epic name": "Checkout" }], [], [], {});
+  assertEqual(aliased.epics[0].title, "Checkout", "Epic title read from a schema alias header");
+  assertEqual(tree.totals.cost, 100, "Total cost");
+
+  const csv = createJiraCsv(tree).split("\r\n");
+  assertEqual(csv[0], "Issue Id,Parent Id,Issue Type,Summary,Description,Labels,Original Estimate", "Jira CSV header");
+  assertEqual(csv[1], '1,,Epic,Checkout,"Pay, then ship",EP-001,', "Epic row quoted and without estimate");
+  assertEqual(csv[3], "3,2,Sub-task,API,,ST-001-01-01,7200", "Subtask linked to its story with the estimate in seconds");
+  assertEqual(csv[4], "4,,Story,Lost,,US-009-01,", "Unlinked story exported without parent");
+
+  const markdown = createMarkdownBrief(tree, "Shop");
+  assertEqual(markdown.indexOf("## EP-001 Checkout (2 h, 100.00)") !== -1, true, "Brief lists the epic with totals");
+  assertEqual(markdown.indexOf("- ST-001-01-01 API (2 h, 100.00) - Developer") !== -1, true, "Brief lists the subtask with its roles");
+  assertEqual(toCsv([['a "b"', "c"]]), '"a ""b""",c', "CSV quotes are doubled");
+}
+
+function testImportBacklog() {
+  const records = parseImportSource("Summary,Issue Type,Issue id,Parent id\nCheckout,Epic,10,\nPay,Story,11,10\nAPI,Sub-task,12,11\nSpam,Epic,13,");
+  assertEqual(records.length, 4, "CSV rows parsed with the header row");
+  assertEqual(parseImportSource('{"cards": [{"name": "A"}]}')[0].name, "A", "JSON records found under cards");
+
+  const entries = mapImportRecords(records, {
+    mapping: { "Summary": "Title" },
+    typeField: "Issue Type",
+    types: { "Epic": "epic", "Story": "story", "Sub-task": "subtask" },
+    idField: "Issue id",
+    parentField: "Parent id"
+  });
+  assertEqual(entries[1].level, "story", "Level from the type field");
+  assertEqual(entries[1].values["Title"], "Pay", "Source field mapped to the header");
+  assertEqual(entries[1].parentSourceId, "10", "Parent source ID kept");
+  assertEqual(mapImportRecords([{ "Title": "A" }, { "Title": "" }], {}).length, 1, "Records without values left out");
+
+  const reimported = mapImportRecords(parseImportSource("Issue Id,Parent Id,Issue Type,Summary\n1,,Epic,Checkout\n2,1,Story,Pay"), IMPORT_PROFILES["Jira CSV"]);
+  assertEqual(reimported[1].parentSourceId, "1", "Own Jira export re-imported with its parent links");
+  const cards = mapImportRecords([
+    { "name": "Checkout", "closed": false, "labels": [{ "name": "epic" }] },
+    { "name": "Pay", "closed": false, "labels": [] },
+    { "name": "Old", "closed": true, "labels": [] }
+  ], IMPORT_PROFILES["Trello JSON"]);
+  assertEqual(cards.map(entry => `${entry.values["Title"]}:${entry.level}`).join(","), "Checkout:epic,Pay:story",
+    "Trello cards typed by label, archived cards skipped");
+
+  const epics = { headers: ["Epic ID", "Title", "Action"], records: [{ "Epic ID": "EP-001", "Title": "Spam", "Action": "" }] };
+  const items = {
+    headers: ["Type", "Epic ID", "Story ID", "Task ID", "Title"],
+    records: []
+  };
+  const plan = planImport(entries, epics, items, "Title");
+  assertEqual(plan.duplicates, 1, "Existing epic title skipped as duplicate");
+  assertEqual(plan.epics.length, 1, "New epic planned");
+  assertEqual(plan.epics[0]["Epic ID"], "EP-002", "Imported epic gets the next ID");
+  assertEqual(plan.items[0]["Epic ID"], "EP-002", "Story linked to its imported epic");
+  assertEqual(plan.items[0]["Story ID"], "US-002-01", "Imported story gets its ID");
+  assertEqual(plan.items[1]["Story ID"], "US-002-01", "Subtask linked to its imported story");
+  assertEqual(plan.items[1]["Task ID"], "ST-002-01-01", "Imported subtask gets its ID");
+  assertEqual(plan.items[1]["Type"], "Subtask", "Imported subtask typed");
+}
+
+function testPlanSprints() {
+  const workItems = orderWorkItems(
+    [
+      { "Task ID": "ST-001-01-02", "Story ID": "US-001-01", "Epic ID": "EP-001", "Role": "Developer", "Hours": 30 },
+      { "Task ID": "ST-002-01-01", "Story ID": "US-002-01", "Epic ID": "EP-002", "Role": "Developer", "Hours": 10 },
+      { "Task ID": "ST-001-01-01", "Story ID": "US-001-01", "Epic ID": "EP-001", "Role": "Developer", "Hours": 60 },
+      { "Task ID": "ST-002-01-02", "Story ID": "US-002-01", "Epic ID": "EP-002", "Role": "Designer", "Hours": 5 },
+      { "Task ID": "ST-002-01-03", "Story ID": "US-002-01", "Epic ID": "EP-002", "Role": "Developer", "Hours": "" }
+    ],
+    [{ "Epic ID": "EP-001", "Priority": "Low" }, { "Epic ID": "EP-002", "Priority": "High" }],
+    [
+      { "Type": "Subtask", "Story ID": "US-001-01", "Task ID": "ST-001-01-01" },
+      { "Type": "Subtask", "Story ID": "US-001-01", "Task ID": "ST-001-01-02" }
+    ]
+  );
+  assertEqual(workItems.map(item => item.taskId).join(","), "ST-002-01-01,ST-002-01-02,ST-002-01-03,ST-001-01-01,ST-001-01-02",
+    "Work ordered by epic priority, then subtask order");
+
+  assertEqual(getMemberCapacity({ "Availability": "50%" }, 2), 40, "Percentage availability");
+  assertEqual(getMemberCapacity({ "Availability": 30 }, 2), 60, "Hourly availability");
+
+  const plan = planSprints(workItems, [{ "Name": "Ann", "Role": "Developer", "Availability": 30 }], {
+    startDate: new Date(2024, 0, 1), weeks: 2, sprintCount: 2
+  });
+  const byTask = {};
+  plan.assignments.forEach(item => { byTask[item.taskId] = item; });
+  assertEqual(byTask["ST-002-01-01"].sprint, 1, "First item planned in the first sprint");
+  assertEqual(byTask["ST-001-01-01"].sprint, 2, "Item without room planned in the next sprint");
+  assertEqual(byTask["ST-001-01-01"].status, "Planned", "Item filling the sprint is not over-allocated");
+  assertEqual(plan.unplanned.map(item => item.reason).join(" | "),
+    "No team member with role Designer | Not estimated | No Developer capacity left within 2 sprint(s)", "Unplanned work with reasons");
+  assertEqual(plan.sprints[1].start.getDate(), 15, "Second sprint starts after the first");
+  const springSprints = planSprints([], [], { startDate: new Date(2024, 2, 4), weeks: 2, sprintCount: 3 }).sprints;
+  assertEqual(`${springSprints[2].start.getDate()} ${springSprints[2].start.getHours()} ${springSprints[1].end.getDate()}`, "1 0 31",
+    "Sprint dates stay on day boundaries across a clock change");
+
+  const oversized = planSprints([{ taskId: "T", storyId: "S", role: "Developer", hours: 100 }],
+    [{ "Name": "Ann", "Role": "Developer", "Availability": 30 }], { startDate: new Date(2024, 0, 1), weeks: 2, sprintCount: 2 });
+  assertEqual(oversized.assignments[0].status, "Over-allocated", "Item larger than a sprint flagged as over-allocated");
+}
+
+function testTimeline() {
+  const items = [
+    { "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-01", "Depends on": "" },
+    { "Type": "Subtask", "Epic ID": "EP-001", "Story ID": "US-001-01", "Task ID": "ST-001-01-01" },
+    { "Type": "Subtask", "Epic ID": "EP-001", "Story ID": "US-001-01", "Task ID": "ST-001-01-02", "Depends on": "ST-001-01-01" },
+    { "Type": "Subtask", "Epic ID": "EP-001", "Story ID": "US-001-01", "Task ID": "ST-001-01-03" },
+    { "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-02", "Depends on": "US-001-01" }
+  ];
+  const estimates = [
+    { "Task ID": "ST-001-01-01", "Role": "Developer", "Hours": 16 },
+    { "Task ID": "ST-001-01-02", "Role": "Developer", "Hours": 12 },
+    { "Task ID": "ST-001-01-02", "Role": "Designer", "Hours": 8 },
+    { "Task ID": "ST-001-01-03", "Role": "Designer", "Hours": 4 }
+  ];
+  const team = [{ "Role": "Developer", "Availability": 40 }, { "Role": "Designer", "Availability": "50%" }];
+  const activities = createScheduleActivities(items, estimates, team);
+  const byId = {};
+  activities.forEach(activity => { byId[activity.id] = activity; });
+  assertEqual(byId["ST-001-01-02"].duration, 2, "Duration is the longest role in working days");
+  assertEqual(byId["ST-001-01-03"].duration, 1, "Duration uses the availability of the role");
+  assertDeepEqual(byId["US-001-02"].dependsOn, ["ST-001-01-01", "ST-001-01-02", "ST-001-01-03"], "Story dependency expanded to its subtasks");
+  assertDeepEqual(parseDependencyIds("ST-1, ST-2;ST-3"), ["ST-1", "ST-2", "ST-3"], "Dependency IDs parsed");
+
+  const schedule = scheduleActivities(activities);
+  const scheduled = {};
+  schedule.activities.forEach(activity => { scheduled[activity.id] = activity; });
+  assertEqual(scheduled["ST-001-01-02"].earliestStart, 2, "Activity starts after its dependency");
+  assertEqual(schedule.days, 4, "Timeline length");
+  assertEqual(scheduled["ST-001-01-03"].slack, 3, "Slack of a non-critical activity");
+  assertEqual(schedule.criticalPath.join(","), "ST-001-01-01,ST-001-01-02,US-001-02", "Critical path through the dependent story");
+  assertEqual(addWorkingDays(new Date(2024, 0, 5), 1).getDate(), 8, "Working days skip the weekend");
+
+  let error = '';
+  try {
+    scheduleActivities(createScheduleActivities(items.concat([
+      { "Type": "Subtask", "Story ID": "US-001-02", "Task ID": "ST-001-02-01", "Depends on": "ST-001-02-02" },
+      { "Type": "Subtask", "Story ID": "US-001-02", "Task ID": "ST-001-02-02", "Depends on": "ST-001-02-01" }
+    ]), estimates, team));
+  } catch (e) {
+    error = e.message;
+  }
+  assertEqual(error.indexOf("Dependency cycle") === 0 && error.indexOf("ST-001-02-01") !== -1, true, "Dependency cycle rejected");
+  assertEqual(findDependencyError(items), null, "Valid dependencies have no error");
+  assertEqual(findDependencyError(items.concat([{ "Type": "Story", "Epic ID": "EP-001", "Story ID": "US-001-03", "Depends on": "US-009-01" }])),
+    "Unknown dependency of US-001-03: US-009-01", "Unknown dependency reported");
+}
+
 // Run all tests
 function runAllTests() {
   testCreateContextJSON();
+  testParseContextSheet();
   testCreateEpicsJSON();
   testConfigFunctions();
   testEpicsFunctions();
+  testBuildWebhookEnvelope();
+  testUsTasksFunctions();
+  testEstimateRollups();
+  testValidateResultsPayload();
+  testOutboxRetryState();
+  testEpicsBatch();
+  testChunkedCache();
+  testAssembleContext();
+  testResolveSetting();
+  testCheckSignature();
+  testLlmHelpers();
+  testGetJobOutcome();
+  testIdempotency();
+  testHierarchyIds();
+  testUpsertRecord();
+  testPayloadSchema();
+  testSelectContext();
+  testHistory();
+  testProjectExport();
+  testImportBacklog();
+  testPlanSprints();
+  testTimeline();
 }
 
 // Run the tests
@@ -0,0 +1,495 @@
+/**
+ * Delivery timeline with dependencies and critical path.
+ *
+ * Every subtask of the US/Tasks sheet is one activity, as is a story without subtasks.
+ * The "Depends on" column of a story or subtask lists the IDs of the rows that must be
+ * finished first, separated by commas. A story dependency applies to all its subtasks,
+ * and depending on a story or epic means depending on all the activities below it.
+ *
+ * The duration of an activity is in working days: the Estimates hours of each role divided
+ * by the daily hours of the most available member with that role, roles working in parallel.
+ * Activities are scheduled as early as their dependencies allow, without levelling the
+ * load of the team; see sprints.js for capacity planning. Dependency cycles are rejected.
+ * The schedule is written to the "Timeline" sheet, with bars drawn by conditional formats.
+ *
+ * Edits never rebuild the sheet themselves: a "Depends on" edit is only checked for
+ * unknown IDs and cycles, reported on the edited cell, and every edit requests a rebuild
+ * that runs from a time-driven trigger once no edit came for CONFIG.TIMELINE.DEBOUNCE_SECONDS.
+ *
+ * @module timeline
+ */
+
+/**
+ * Name of the sheet the timeline is written to.
+ * @const {string}
+ */
+var TIMELINE_SHEET = "Timeline";
+
+/**
+ * Setting holding the start date of the timeline, yyyy-mm-dd.
+ * The timeline is recomputed on estimate changes only once it is set.
+ * @const {string}
+ */
+var TIMELINE_START_SETTING = "TIMELINE_START";
+
+/**
+ * Document property holding the time of the last rebuild request, see requestTimelineUpdate.
+ * @const {string}
+ */
+var TIMELINE_REQUEST_PROPERTY = "TIMELINE_REQUESTED_AT";
+
+/**
+ * Prefix of the notes reporting dependency errors, so only those notes are ever cleared.
+ * @const {string}
+ */
+var TIMELINE_ERROR_NOTE = "Timeline not updated: ";
+
+/**
+ * Number of working days per week.
+ * @const {number}
+ */
+var TIMELINE_WORK_DAYS = 5;
+
+/**
+ * Header row of the Timeline sheet, followed by one column per working day.
+ * @const {Array<string>}
+ */
+var TIMELINE_HEADERS = ["ID", "Type", "Title", "Depends on", "Days", "Start", "Finish", "Slack", "Critical"];
+
+/**
+ * Colours of the timeline bars. Story bars stay grey, critical activities are red.
+ * @const {Object}
+ */
+var TIMELINE_COLORS = {
+    critical: "#e06666",
+    story: "#b7b7b7",
+    activity: "#6d9eeb"
+};
+
+/**
+ * Recomputes the timeline of a spreadsheet from its start date setting.
+ * Does nothing until a timeline was built. An error is logged and noted on the
+ * first cell of the Timeline sheet, so a stale timeline is never mistaken for a current one.
+ * @param {Object} spreadsheet - The active spreadsheet.
+ * @returns {Object|null} The schedule, or null when not built or on error.
+ */
+function updateTimeline(spreadsheet) {
+    try {
+        const start = getSetting(TIMELINE_START_SETTING);
+        if (!start) return null;
+        const startDate = start instanceof Date ? start : parseTimelineDate(String(start));
+        if (!startDate) throw new Error(`Not a yyyy-mm-dd date in ${TIMELINE_START_SETTING}: ${start}`);
+        return buildTimeline(spreadsheet, startDate);
+    } catch (error) {
+        Logger.log(`Error in updateTimeline: ${error.message}`);
+        const sheet = spreadsheet.getSheetByName(TIMELINE_SHEET);
+        if (sheet) sheet.getRange(1, 1).setNote(`${TIMELINE_ERROR_NOTE}${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Requests a rebuild of the timeline after estimates or dependencies changed.
+ * The rebuild runs from a one-off time-driven trigger, see processTimelineUpdate;
+ * requests made while one is pending only move its time.
+ * @param {Object} spreadsheet - The active spreadsheet.
+ * @returns {boolean} True if a rebuild was requested, false until a timeline was built.
+ */
+function requestTimelineUpdate(spreadsheet) {
+    try {
+        if (!getSetting(TIMELINE_START_SETTING)) return false;
+        const properties = PropertiesService.getDocumentProperties();
+        const pending = Number(properties.getProperty(TIMELINE_REQUEST_PROPERTY)) || 0;
+        const now = Date.now();
+        properties.setProperty(TIMELINE_REQUEST_PROPERTY, String(now));
+        // A request much older than the debounce time lost its trigger, so schedule a new one
+        if (now - pending > CONFIG.TIMELINE.DEBOUNCE_SECONDS * 1000 * 10) scheduleTimelineUpdate(CONFIG.TIMELINE.DEBOUNCE_SECONDS);
+        debugLog(`Timeline rebuild requested for ${spreadsheet.getName()}`);
+        return true;
+    } catch (error) {
+        Logger.log(`Error in requestTimelineUpdate: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Rebuilds the requested timeline once no request came for CONFIG.TIMELINE.DEBOUNCE_SECONDS,
+ * otherwise waits for the rest of that time. Runs from the trigger of scheduleTimelineUpdate.
+ * @returns {Object|null} The schedule, or null when not rebuilt yet.
+ */
+function processTimelineUpdate() {
+    ScriptApp.getProjectTriggers()
+        .filter(trigger => trigger.getHandlerFunction() === 'processTimelineUpdate')
+        .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    const properties = PropertiesService.getDocumentProperties();
+    const requestedAt = Number(properties.getProperty(TIMELINE_REQUEST_PROPERTY)) || 0;
+    if (!requestedAt) return null;
+    const waitSeconds = Math.ceil(CONFIG.TIMELINE.DEBOUNCE_SECONDS - (Date.now() - requestedAt) / 1000);
+    if (waitSeconds > 0) {
+        scheduleTimelineUpdate(waitSeconds);
+        return null;
+    }
+    properties.deleteProperty(TIMELINE_REQUEST_PROPERTY);
+    return updateTimeline(SpreadsheetApp.getActiveSpreadsheet());
+}
+
+/**
+ * Creates the one-off trigger running processTimelineUpdate.
+ * @param {number} seconds - The delay in seconds.
+ */
+function scheduleTimelineUpdate(seconds) {
+    ScriptApp.newTrigger('processTimelineUpdate').timeBased().after(Math.max(seconds, 1) * 1000).create();
+}
+
+/**
+ * Handles edits of the "Depends on" column.
+ * The dependencies are checked right away: an unknown ID or a cycle is noted on the
+ * edited cell and shown in a toast. Valid dependencies request a timeline rebuild.
+ * @param {Object} e - The event object from the edit trigger.
+ * @param {Object} trigger - The matching CONFIG.TRIGGERS entry.
+ * @returns {?string} The dependency error, null if the dependencies are valid.
+ */
+function handleTimelineEdit(e, trigger) {
+    try {
+        debugLog('Handling dependency edit');
+        const sheet = e.range.getSheet();
+        const [headers, ...rows] = sheet.getDataRange().getValues();
+        const items = rows.map(row => getRowData(headers, row)).filter(record => !isBlankHierarchyRecord(record));
+        const error = findDependencyError(items);
+        const note = String(e.range.getNote() || '');
+        if (error) {
+            e.range.setNote(`${TIMELINE_ERROR_NOTE}${error}`);
+            e.source.toast(error, 'Dependency error');
+            return error;
+        }
+        if (note.indexOf(TIMELINE_ERROR_NOTE) === 0) e.range.clearNote();
+        requestTimelineUpdate(e.source);
+        return null;
+    } catch (error) {
+        Logger.log(`Error in handleTimelineEdit: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Checks the dependencies of the US/Tasks rows for unknown IDs and cycles.
+ * @param {Array<Object>} items - The US/Tasks rows mapped to headers.
+ * @returns {?string} The error, null if every activity can be scheduled.
+ */
+function findDependencyError(items) {
+    try {
+        scheduleActivities(createScheduleActivities(items, [], []));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Schedules the US/Tasks rows of a spreadsheet and writes the Timeline sheet.
+ * @param {Object} spreadsheet - The spreadsheet holding the US/Tasks, Estimates and Team sheets.
+ * @param {Date} startDate - The first working day of the timeline.
+ * @returns {Object} The schedule, see scheduleActivities, with the rows written.
+ * @throws {Error} If a dependency is unknown or the dependencies form a cycle.
+ */
+function buildTimeline(spreadsheet, startDate) {
+    const readRecords = sheetName => {
+        const sheet = spreadsheet.getSheetByName(sheetName);
+        if (!sheet) return [];
+        const [headers, ...rows] = sheet.getDataRange().getValues();
+        return rows.map(row => getRowData(headers, row)).filter(record => !isBlankHierarchyRecord(record));
+    };
+    const items = readRecords("US/Tasks");
+    const schedule = scheduleActivities(createScheduleActivities(items, readRecords("Estimates"), getTeamData(spreadsheet)));
+    schedule.rows = createTimelineRows(items, schedule, startDate);
+    schedule.finishDate = addWorkingDays(startDate, Math.max(schedule.days - 1, 0));
+    writeTimelineSheet(spreadsheet, schedule, startDate);
+    debugLog(`Timeline built: ${schedule.days} working day(s), critical path ${schedule.criticalPath.join(' > ')}`, true);
+    return schedule;
+}
+
+/**
+ * Turns the US/Tasks rows into activities with their duration and resolved dependencies.
+ * @param {Array<Object>} items - The US/Tasks rows mapped to headers.
+ * @param {Array<Object>} estimates - The Estimates rows mapped to headers.
+ * @param {Array<Object>} team - The Team records.
+ * @returns {Array<{id: string, storyId: string, duration: number, dependsOn: Array<string>}>} The activities: stories without subtasks, then subtasks, in sheet order.
+ * @throws {Error} If a dependency references an unknown ID.
+ */
+function createScheduleActivities(items, estimates, team) {
+    const headers = CONFIG.HEADERS;
+    const records = items.map(record => ({ record: record, level: getHierarchyLevel("US/Tasks", record) }));
+    const stories = records.filter(item => item.level === 'story' && item.record[headers.STORY_ID]).map(item => item.record);
+    const subtasks = records.filter(item => item.level === 'subtask' && item.record[headers.TASK_ID]).map(item => item.record);
+    const storyDependencies = stories.reduce((dependencies, story) => {
+        dependencies[story[headers.STORY_ID]] = parseDependencyIds(story[headers.DEPENDS_ON]);
+        return dependencies;
+    }, {});
+
+    const dailyHours = {};
+    team.forEach(member => {
+        const role = member[headers.ROLE];
+        if (role) dailyHours[role] = Math.max(dailyHours[role] || 0, getMemberCapacity(member, 1) / TIMELINE_WORK_DAYS);
+    });
+    const getDuration = taskId => {
+        const hoursByRole = {};
+        estimates.filter(estimate => estimate[headers.TASK_ID] === taskId).forEach(estimate => {
+            const role = estimate[headers.ROLE] || '';
+            hoursByRole[role] = (hoursByRole[role] || 0) + (Number(estimate[headers.HOURS]) || 0);
+        });
+        return Object.keys(hoursByRole).reduce((days, role) => {
+            const perDay = dailyHours[role] || CONFIG.SPRINTS.HOURS_PER_WEEK / TIMELINE_WORK_DAYS;
+            return Math.max(days, Math.ceil(hoursByRole[role] / perDay));
+        }, 0);
+    };
+
+    const activities = [];
+    stories.forEach(story => {
+        const storyId = story[headers.STORY_ID];
+        if (subtasks.some(subtask => subtask[headers.STORY_ID] === storyId)) return;
+        activities.push({ id: storyId, epicId: story[headers.EPIC_ID] || '', storyId: storyId, duration: 0, references: storyDependencies[storyId] });
+    });
+    subtasks.forEach(subtask => {
+        const storyId = subtask[headers.STORY_ID] || '';
+        activities.push({
+            id: subtask[headers.TASK_ID],
+            epicId: subtask[headers.EPIC_ID] || '',
+            storyId: storyId,
+            duration: getDuration(subtask[headers.TASK_ID]),
+            references: parseDependencyIds(subtask[headers.DEPENDS_ON]).concat(storyDependencies[storyId] || [])
+        });
+    });
+
+    // A story or epic stands for every activity below it
+    const groups = {};
+    activities.forEach(activity => [activity.id, activity.storyId, activity.epicId].forEach(id => {
+        if (!id) return;
+        if (!groups[id]) groups[id] = [];
+        if (groups[id].indexOf(activity.id) === -1) groups[id].push(activity.id);
+    }));
+    return activities.map(activity => {
+        const dependsOn = [];
+        activity.references.forEach(id => {
+            if (!groups[id]) throw new Error(`Unknown dependency of ${activity.id}: ${id}`);
+            groups[id].forEach(dependency => {
+                if (dependsOn.indexOf(dependency) === -1) dependsOn.push(dependency);
+            });
+        });
+        return { id: activity.id, storyId: activity.storyId, duration: activity.duration, dependsOn: dependsOn };
+    });
+}
+
+/**
+ * Splits a "Depends on" cell into IDs.
+ * @param {*} value - The cell value, IDs separated by commas, semicolons or whitespace.
+ * @returns {Array<string>} The IDs.
+ */
+function parseDependencyIds(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .split(/[,;\s]+/)
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Computes the earliest and latest dates of the activities and the critical path.
+ * Days are working day offsets from the start of the timeline; an activity starting
+ * on day 0 with a duration of 2 occupies days 0 and 1 and finishes at 2.
+ * @param {Array<Object>} activities - The activities, see createScheduleActivities.
+ * @returns {{activities: Array<Object>, days: number, criticalPath: Array<string>}}
+ *          The activities in dependency order with earliestStart, earliestFinish,
+ *          latestStart, latestFinish, slack and critical, the length of the timeline
+ *          and the IDs of the critical path in order.
+ * @throws {Error} If the dependencies form a cycle.
+ */
+function scheduleActivities(activities) {
+    const byId = {};
+    const successors = {};
+    activities.forEach(activity => {
+        byId[activity.id] = Object.assign({}, activity);
+        successors[activity.id] = [];
+    });
+    activities.forEach(activity => activity.dependsOn.forEach(id => successors[id].push(activity.id)));
+
+    const remaining = {};
+    activities.forEach(activity => { remaining[activity.id] = activity.dependsOn.length; });
+    const ordered = [];
+    const ready = activities.filter(activity => remaining[activity.id] === 0).map(activity => activity.id);
+    while (ready.length > 0) {
+        const id = ready.shift();
+        ordered.push(byId[id]);
+        successors[id].forEach(successor => {
+            remaining[successor]--;
+            if (remaining[successor] === 0) ready.push(successor);
+        });
+    }
+    if (ordered.length < activities.length) {
+        throw new Error(`Dependency cycle: ${findDependencyCycle(activities, remaining).join(' > ')}`);
+    }
+
+    ordered.forEach(activity => {
+        activity.earliestStart = Math.max(0, ...activity.dependsOn.map(id => byId[id].earliestFinish));
+        activity.earliestFinish = activity.earliestStart + activity.duration;
+    });
+    const days = Math.max(0, ...ordered.map(activity => activity.earliestFinish));
+    ordered.slice().reverse().forEach(activity => {
+        activity.latestFinish = Math.min(days, ...successors[activity.id].map(id => byId[id].latestStart));
+        activity.latestStart = activity.latestFinish - activity.duration;
+        activity.slack = activity.latestStart - activity.earliestStart;
+        activity.critical = activity.slack === 0;
+    });
+
+    // Walk back from the last critical activity through the predecessors it waits for
+    const criticalPath = [];
+    let current = ordered.slice().reverse().find(activity => activity.critical && activity.earliestFinish === days);
+    while (current) {
+        criticalPath.unshift(current.id);
+        const start = current.earliestStart;
+        current = current.dependsOn.map(id => byId[id]).find(activity => activity.critical && activity.earliestFinish === start);
+    }
+    return { activities: ordered, days: days, criticalPath: criticalPath };
+}
+
+/**
+ * Finds one dependency cycle among the activities left unscheduled.
+ * @param {Array<Object>} activities - The activities.
+ * @param {Object} remaining - Count of unscheduled dependencies by activity ID.
+ * @returns {Array<string>} The IDs of the cycle, the first one repeated at the end.
+ */
+function findDependencyCycle(activities, remaining) {
+    const byId = {};
+    activities.forEach(activity => { byId[activity.id] = activity; });
+    const path = [];
+    let id = activities.find(activity => remaining[activity.id] > 0).id;
+    while (path.indexOf(id) === -1) {
+        path.push(id);
+        id = byId[id].dependsOn.find(dependency => remaining[dependency] > 0);
+    }
+    return path.slice(path.indexOf(id)).concat(id).reverse();
+}
+
+/**
+ * Adds working days to a date, skipping weekends.
+ * @param {Date} date - The start date, moved to the next Monday when on a weekend.
+ * @param {number} days - The number of working days to add.
+ * @returns {Date} The resulting date.
+ */
+function addWorkingDays(date, days) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const skipWeekend = () => {
+        while (result.getDay() === 0 || result.getDay() === 6) result.setDate(result.getDate() + 1);
+    };
+    skipWeekend();
+    for (let day = 0; day < days; day++) {
+        result.setDate(result.getDate() + 1);
+        skipWeekend();
+    }
+    return result;
+}
+
+/**
+ * Parses a yyyy-mm-dd date.
+ * @param {string} text - The date text.
+ * @returns {Date|null} The local date, or null if the text is not a date.
+ */
+function parseTimelineDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Creates the rows of the Timeline sheet: every story followed by its activities,
+ * activities of unknown stories last. A story row spans the activities below it.
+ * @param {Array<Object>} items - The US/Tasks rows mapped to headers.
+ * @param {Object} schedule - The schedule, see scheduleActivities.
+ * @param {Date} startDate - The first working day of the timeline.
+ * @returns {Array<Array>} The rows, see TIMELINE_HEADERS.
+ */
+function createTimelineRows(items, schedule, startDate) {
+    const headers = CONFIG.HEADERS;
+    const records = {};
+    items.forEach(record => {
+        const id = getRecordIdentity("US/Tasks", record).id;
+        if (id) records[id] = record;
+    });
+    const toRow = (id, type, days, start, finish, slack, critical) => {
+        const record = records[id] || {};
+        return [
+            id, type, record[headers.TITLE] || '', record[headers.DEPENDS_ON] || '', days,
+            addWorkingDays(startDate, start), addWorkingDays(startDate, Math.max(finish - 1, start)), slack, critical
+        ];
+    };
+    const activityRow = activity => toRow(activity.id, activity.id === activity.storyId ? "Story" : "Subtask",
+        activity.duration, activity.earliestStart, activity.earliestFinish, activity.slack, activity.critical);
+
+    const rows = [];
+    const written = {};
+    items.filter(record => getHierarchyLevel("US/Tasks", record) === 'story').forEach(story => {
+        const storyId = story[headers.STORY_ID];
+        const children = schedule.activities
+            .filter(activity => activity.storyId === storyId && !written[activity.id])
+            .sort((first, second) => first.earliestStart - second.earliestStart);
+        if (!storyId || children.length === 0) return;
+        if (children.some(child => child.id !== storyId)) {
+            const start = Math.min(...children.map(child => child.earliestStart));
+            const finish = Math.max(...children.map(child => child.earliestFinish));
+            rows.push(toRow(storyId, "Story", finish - start, start, finish,
+                Math.min(...children.map(child => child.slack)), children.some(child => child.critical)));
+        }
+        children.forEach(child => {
+            rows.push(activityRow(child));
+            written[child.id] = true;
+        });
+    });
+    schedule.activities.filter(activity => !written[activity.id]).forEach(activity => rows.push(activityRow(activity)));
+    return rows;
+}
+
+/**
+ * Writes the schedule to the Timeline sheet with one bar column per working day,
+ * up to CONFIG.TIMELINE.MAX_DAYS, followed by the delivery date and the critical path.
+ * @param {Object} spreadsheet - The spreadsheet to write to.
+ * @param {Object} schedule - The schedule with its rows and finishDate, see buildTimeline.
+ * @param {Date} startDate - The first working day of the timeline.
+ */
+function writeTimelineSheet(spreadsheet, schedule, startDate) {
+    const sheet = spreadsheet.getSheetByName(TIMELINE_SHEET) || spreadsheet.insertSheet(TIMELINE_SHEET);
+    const dayCount = Math.max(1, Math.min(schedule.days, CONFIG.TIMELINE.MAX_DAYS));
+    const width = TIMELINE_HEADERS.length + dayCount;
+    const pad = row => row.concat(Array(width - row.length).fill(''));
+    const dayHeaders = Array.from({ length: dayCount }, (_, day) => addWorkingDays(startDate, day));
+
+    const output = [TIMELINE_HEADERS.concat(dayHeaders)].concat(schedule.rows.map(pad));
+    output.push(pad([]), pad(["Delivery", schedule.finishDate]), pad(["Critical path", schedule.criticalPath.join(' > ')]));
+
+    sheet.clear();
+    sheet.getRange(1, 1).clearNote();
+    sheet.setConditionalFormatRules([]);
+    sheet.getRange(1, 1, output.length, width).setValues(output);
+    sheet.getRange(1, TIMELINE_HEADERS.length + 1, 1, dayCount).setNumberFormat('MMM d');
+    sheet.setColumnWidths(TIMELINE_HEADERS.length + 1, dayCount, 28);
+    sheet.setFrozenRows(1);
+    sheet.setFrozenColumns(3);
+    if (schedule.rows.length === 0) return;
+
+    // Formulas are relative to the first bar cell; Days, Start, Finish, Critical and Type are E to I and B
+    const bars = sheet.getRange(2, TIMELINE_HEADERS.length + 1, schedule.rows.length, dayCount);
+    const column = bars.getA1Notation().replace(/\d.*$/, '');
+    const inBar = `$E2>0,${column}$1>=$F2,${column}$1<=$G2`;
+    const rule = (condition, color) => SpreadsheetApp.newConditionalFormatRule()
+        .whenFormulaSatisfied(`=AND(${condition})`)
+        .setBackground(color)
+        .setRanges([bars])
+        .build();
+    sheet.setConditionalFormatRules([
+        rule(`$B2="Story",${inBar}`, TIMELINE_COLORS.story),
+        rule(`$I2=TRUE,${inBar}`, TIMELINE_COLORS.critical),
+        rule(inBar, TIMELINE_COLORS.activity)
+    ]);
+}
+
+// Export functions
+this.buildTimeline = buildTimeline;
+this.updateTimeline = updateTimeline;
+this.handleTimelineEdit = handleTimelineEdit;
+this.processTimelineUpdate = processTimelineUpdate;
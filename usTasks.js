@@ -0,0 +1,131 @@
+/**
+ * Functions specific to the US/Tasks sheet.
+ * Handles grooming requests for user stories and their subtasks.
+ *
+ * A row in the US/Tasks sheet references its parent epic through the "Epic ID" column.
+ * The parent epic row is attached to the payload next to the context data,
+ * so the grooming scenario sees the story together with the epic it belongs to.
+ *
+ * @module UsTasksModule
+ */
+
+/**
+ * Handles edits in the US/Tasks sheet and sends grooming requests to the webhook of the trigger operation.
+ * Every row of the edited range holding the trigger value is groomed, like in the Epics sheet:
+ * a single row is sent in the US/Tasks JSON shape, several rows as batched payloads.
+ *
+ * @param {Object} e - The event object from the edit trigger.
+ * @param {Object} trigger - The matching CONFIG.TRIGGERS entry.
+ * @returns {Array<Object>} Per row status: {row_id, status: 'sent'|'groomed'|'duplicate'|'failed', error}.
+ */
+function handleUsTasksEdit(e, trigger) {
+    try {
+        debugLog('Handling US/Tasks sheet edit');
+        const sheet = e.range.getSheet();
+        const operation = trigger.operation;
+        const rows = getTriggeredRows(sheet, e.range, trigger);
+        if (rows.length === 0) return [];
+        const contextData = getContextData(e.source);
+        const epics = {};
+        const getEpic = epicId => (epicId in epics ? epics[epicId] : (epics[epicId] = getParentEpicData(e.source, epicId)));
+
+        const statuses = [];
+        if (rows.length === 1) {
+            const json = createUsTasksJSON(rows[0].data, getEpic(rows[0].data[CONFIG.HEADERS.EPIC_ID]), contextData, e);
+            json.row_id = rows[0].rowId;
+            debugLog(`Final US/Tasks JSON: ${JSON.stringify(json)}`, true); // Always log the final JSON
+            const result = dispatchOperation(operation, json, { sheet: sheet.getName(), row: rows[0].rowId });
+            statuses.push({ row_id: rows[0].rowId, status: getDeliveryStatus(result), error: result.error });
+        } else {
+            chunkArray(rows, getOperationConfig(operation).batchSize).forEach(chunk => {
+                const json = createUsTasksBatchJSON(chunk, getEpic, contextData, e);
+                debugLog(`Final US/Tasks batch JSON: ${JSON.stringify(json)}`, true); // Always log the final JSON
+                const result = dispatchOperation(operation, json, { sheet: sheet.getName(), row: chunk[0].rowId });
+                chunk.forEach(row => statuses.push({ row_id: row.rowId, status: getDeliveryStatus(result), error: result.error }));
+            });
+        }
+
+        writeRowStatuses(sheet, statuses);
+        statuses
+            .filter(status => status.status === 'failed')
+            .forEach(status => Logger.log(`${operation} request for row ${status.row_id} failed: ${status.error}`));
+        return statuses;
+    } catch (error) {
+        Logger.log(`Error in handleUsTasksEdit: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Retrieves the Epics sheet row of the parent epic.
+ *
+ * @param {Object} spreadsheet - The active spreadsheet.
+ * @param {string} epicId - The ID of the parent epic.
+ * @returns {Object|null} The epic row data mapped to headers, or null if not found.
+ */
+function getParentEpicData(spreadsheet, epicId) {
+    if (!epicId) {
+        debugLog('Row has no parent epic ID');
+        return null;
+    }
+    const epicsSheet = spreadsheet.getSheetByName("Epics");
+    if (!epicsSheet) {
+        Logger.log('Error in getParentEpicData: Sheet not found: Epics');
+        return null;
+    }
+    return findRowDataByHeaderValue(epicsSheet, CONFIG.HEADERS.EPIC_ID, epicId);
+}
+
+/**
+ * Creates a JSON object from a US/Tasks row, its parent epic and the context data.
+ *
+ * @param {Object} data - The row data from the US/Tasks sheet.
+ * @param {Object|null} epicData - The parent epic row data.
+ * @param {Object} contextData - The cached context data.
+ * @param {Object} e - The event object from the edit trigger.
+ * @returns {Object} The Epics JSON shape with an additional epic key, excluding empty values.
+ */
+function createUsTasksJSON(data, epicData, contextData, e = null) {
+    try {
+        debugLog('Creating US/Tasks JSON');
+        const json = createEpicsJSON(data, contextData, e);
+        json.epic = {};
+        for (const [key, value] of Object.entries(epicData || {})) {
+            if (value !== null && value !== undefined && value !== '') {
+                json.epic[key] = value;
+            }
+        }
+        return json;
+    } catch (error) {
+        Logger.log(`Error in createUsTasksJSON: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Creates a batched JSON object for several US/Tasks rows sharing one context object.
+ *
+ * @param {Array<{rowId: number, data: Object}>} rows - The triggered rows.
+ * @param {function(string): ?Object} getEpic - Returns the parent epic row data of an epic ID.
+ * @param {Object} contextData - The cached context data.
+ * @param {Object} e - The event object from the edit trigger.
+ * @returns {Object} The Epics batch JSON shape whose items also carry their parent epic.
+ */
+function createUsTasksBatchJSON(rows, getEpic, contextData, e = null) {
+    try {
+        debugLog('Creating US/Tasks batch JSON');
+        const json = createEpicsBatchJSON(rows, contextData, e);
+        json.items.forEach((item, index) => {
+            item.epic = createUsTasksJSON({}, getEpic(rows[index].data[CONFIG.HEADERS.EPIC_ID]), null).epic;
+        });
+        return json;
+    } catch (error) {
+        Logger.log(`Error in createUsTasksBatchJSON: ${error.message}`);
+        return {};
+    }
+}
+
+// Export the functions
+this.handleUsTasksEdit = handleUsTasksEdit;
+this.createUsTasksJSON = createUsTasksJSON;
+this.createUsTasksBatchJSON = createUsTasksBatchJSON;
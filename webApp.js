@@ -0,0 +1,192 @@
+/**
+ * Inbound web app endpoint.
+ * Receives groomed results from the automation scenarios and writes them back into the sheets.
+ *
+ * Expected request body:
+ * {
+ *   "gsheet_id": "<spreadsheet id>",
+ *   "sheet_name_id": "Epics",
+ *   "row_id": 5,
+ *   "type": "epics" | "stories" | "subtasks" | "estimates",
+ *   "parent_id": "EP-012",
+ *   "rows": [{ "<header>": "<value>", ... }]
+ * }
+ * gsheet_id, sheet_name_id and row_id are the fields createEpicsJSON sends out,
+ * echoed back so results land next to the row that requested them.
+ * parent_id is optional: the record_id of the requesting epic or story, linking
+ * generated stories and subtasks to it.
+ * When a WEBHOOK_SECRET is configured, the request must be signed and pass the
+ * signature, timestamp and nonce query parameters, see signing.js.
+ *
+ * @module webApp
+ */
+
+/**
+ * Web app entry point for POST requests.
+ * @param {Object} e - The event object of the web app request.
+ * @returns {Object} A JSON text output with ok, results and errors.
+ */
+function doPost(e) {
+    try {
+        debugLog('Handling web app POST request');
+        if (!e || !e.postData || !e.postData.contents) throw new Error('Request body is empty');
+        const rejection = verifyInboundSignature(e);
+        if (rejection) {
+            Logger.log(`Rejected web app request: ${rejection}`);
+            return createJsonResponse({ ok: false, errors: [rejection] });
+        }
+        const payload = JSON.parse(e.postData.contents);
+        const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+        const errors = validateResultsPayload(payload, spreadsheet.getId());
+        if (errors.length > 0) return createJsonResponse({ ok: false, errors: errors });
+
+        const results = applyResults(spreadsheet, payload);
+        return createJsonResponse({ ok: true, results: results, errors: [] });
+    } catch (error) {
+        Logger.log(`Error in doPost: ${error.message}`);
+        return createJsonResponse({ ok: false, errors: [error.message] });
+    }
+}
+
+/**
+ * Validates the body of a results request.
+ * @param {Object} payload - The parsed request body.
+ * @param {string} spreadsheetId - The ID of the spreadsheet the script is bound to.
+ * @returns {Array<string>} The validation errors, empty if the payload is valid.
+ */
+function validateResultsPayload(payload, spreadsheetId) {
+    const errors = [];
+    if (!payload || typeof payload !== 'object') return ['Payload must be a JSON object'];
+    if (payload.gsheet_id !== spreadsheetId) errors.push(`gsheet_id does not match this spreadsheet: ${payload.gsheet_id}`);
+    if (!CONFIG.RESULT_TARGETS[payload.type]) errors.push(`Unknown result type: ${payload.type}`);
+    if (payload.row_id !== undefined && !(Number.isInteger(payload.row_id) && payload.row_id > 1)) {
+        errors.push(`row_id must be a data row number: ${payload.row_id}`);
+    }
+    if (!Array.isArray(payload.rows) || payload.rows.length === 0) {
+        errors.push('rows must be a non-empty array');
+    } else {
+        payload.rows.forEach((row, index) => {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) errors.push(`rows[${index}] must be an object`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Upserts validated result rows into the target sheet of their type.
+ * Values are matched to columns by header, keys without a matching header are ignored.
+ * An epic result without a key updates the row it was requested from.
+ * Stories and subtasks are linked to the parent_id of the payload unless they name
+ * their parent themselves, and written rows get their missing hierarchy IDs.
+ * Every row is saved to the History sheet before it is written, see history.js.
+ * The action cell of the requesting row is set to "Groomed".
+ * @param {Object} spreadsheet - The spreadsheet to write to.
+ * @param {Object} payload - The validated request body.
+ * @returns {Array<Object>} Per row: {action: 'updated'|'appended', row, ignored}.
+ */
+function applyResults(spreadsheet, payload) {
+    const target = CONFIG.RESULT_TARGETS[payload.type];
+    const sheet = spreadsheet.getSheetByName(target.sheet);
+    if (!sheet) throw new Error(`Sheet not found: ${target.sheet}`);
+
+    const fallbackRow = payload.type === 'epics' && payload.sheet_name_id === target.sheet ? payload.row_id : null;
+    const change = createHistoryChange(payload);
+    // Concurrent requests must not match or append the same rows
+    const results = withDocumentLock(() => {
+        const data = sheet.getDataRange().getValues();
+        const written = payload.rows.map(record =>
+            upsertRecord(sheet, target.key, getResultRecord(payload, record), fallbackRow, { exclude: target.exclude, change: change, data: data }));
+        ensureHierarchyIds(sheet, written.map(result => result.row));
+        return written;
+    });
+
+    if (payload.type === 'estimates') {
+        updateEstimateTotals(spreadsheet);
+        requestTimelineUpdate(spreadsheet);
+    }
+
+    const sourceSheet = payload.sheet_name_id && payload.row_id ? spreadsheet.getSheetByName(payload.sheet_name_id) : null;
+    if (sourceSheet) setActionStatus(sourceSheet, [payload.row_id], ACTION_STATUS.GROOMED);
+    return results;
+}
+
+/**
+ * Completes a result row with the defaults of its target and the parent ID of the payload.
+ * @param {Object} payload - The validated request body.
+ * @param {Object} record - The result row, keyed by header.
+ * @returns {Object} A new record, values of the result row taking precedence.
+ */
+function getResultRecord(payload, record) {
+    const target = CONFIG.RESULT_TARGETS[payload.type];
+    const parentHeader = { stories: CONFIG.HEADERS.EPIC_ID, subtasks: CONFIG.HEADERS.STORY_ID }[payload.type];
+    const linked = parentHeader && payload.parent_id ? { [parentHeader]: payload.parent_id } : {};
+    return Object.assign({}, target.defaults, linked, record);
+}
+
+/**
+ * Updates the row whose key column matches the record, or appends a new row.
+ * Only the cells of the columns present in the record are written, so formulas
+ * in the other columns are kept.
+ * @param {Object} sheet - The target sheet.
+ * @param {string} keyHeader - The header of the key column.
+ * @param {Object} record - The values to write, keyed by header.
+ * @param {?number} fallbackRow - The row to update when the record has no key value.
+ * @param {Object} [options={}] - Matching and history options.
+ * @param {string} [options.exclude] - Rows with a value in this column are never matched.
+ * @param {Object} [options.change] - The history change the row is snapshotted for before the write, see recordHistorySnapshot.
+ * @param {Array<Array>} [options.data] - The sheet values read once for several records, kept up to date
+ *        with the written row; read from the sheet when omitted.
+ * @returns {{action: string, row: number, ignored: Array<string>}} What was written where.
+ */
+function upsertRecord(sheet, keyHeader, record, fallbackRow, options = {}) {
+    const data = options.data || sheet.getDataRange().getValues();
+    const headers = data[0];
+    const ignored = Object.keys(record).filter(key => headers.indexOf(key) === -1);
+
+    let rowNumber = 0;
+    const keyIndex = headers.indexOf(keyHeader);
+    const keyValue = record[keyHeader];
+    const excludeIndex = options.exclude ? headers.indexOf(options.exclude) : -1;
+    if (keyIndex !== -1 && keyValue !== undefined && keyValue !== '') {
+        const matchIndex = data.findIndex((row, index) => index > 0 && String(row[keyIndex]) === String(keyValue) &&
+            (excludeIndex === -1 || row[excludeIndex] === ''));
+        if (matchIndex !== -1) rowNumber = matchIndex + 1;
+    } else if (fallbackRow && fallbackRow <= data.length) {
+        rowNumber = fallbackRow;
+    }
+
+    const action = rowNumber ? 'updated' : 'appended';
+    const current = rowNumber ? data[rowNumber - 1] : headers.map(() => '');
+    const values = headers.map((header, index) => (header in record ? record[header] : current[index]));
+    const before = action === 'updated' ? getRowData(headers, current) : null;
+    if (!rowNumber) rowNumber = data.length + 1;
+    if (options.change) {
+        const after = headers.reduce((fields, header) => {
+            if (header in record) fields[header] = record[header];
+            return fields;
+        }, {});
+        recordHistorySnapshot(options.change, sheet, rowNumber, keyHeader, before, after);
+    }
+    headers.forEach((header, index) => {
+        if (header in record) sheet.getRange(rowNumber, index + 1).setValue(record[header]);
+    });
+    data[rowNumber - 1] = values;
+
+    debugLog(`Result row ${action} in ${sheet.getName()} at row ${rowNumber}`);
+    return { action: action, row: rowNumber, ignored: ignored };
+}
+
+/**
+ * Wraps an object in a JSON text output.
+ * @param {Object} body - The response body.
+ * @returns {Object} The ContentService text output.
+ */
+function createJsonResponse(body) {
+    return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
+
+// Export functions
+this.doPost = doPost;
+this.validateResultsPayload = validateResultsPayload;
+this.applyResults = applyResults;